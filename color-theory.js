@@ -107,6 +107,14 @@ const TERTIARY_COLORS = {
   }
 };
 
+// Artist's (RYB) wheel hue → RGB/HSL hue, every 30°. Hues in between are interpolated
+// linearly, so a TERTIARY_COLORS `hue` maps to the RGB hue it names (green 180 → 138,
+// blue 240 → 240).
+const RYB_HUE_STOPS = [
+  [0, 0], [30, 17], [60, 34], [90, 48], [120, 60], [150, 103], [180, 138],
+  [210, 190], [240, 240], [270, 265], [300, 285], [330, 315], [360, 360]
+];
+
 /**
  * Color Theory Based Extractor and Palette Generator
  * 
@@ -141,28 +149,220 @@ const COLOR_CONTEXTS = {
   }
 };
 
+// What images in each context tend to look like, used by context: 'AUTO'.
+// Hue affinity comes from the context's weights above. temperature runs from -1 (cool)
+// to 1 (warm), saturation and lightness are image-wide means (0-1).
+const CONTEXT_PROFILES = {
+  TECH: { temperature: -0.3, saturation: 0.45, lightness: 0.35 },
+  NATURE: { temperature: 0.05, saturation: 0.4, lightness: 0.45 },
+  ENERGY: { temperature: 0.35, saturation: 0.65, lightness: 0.5 },
+  LUXURY: { temperature: 0, saturation: 0.3, lightness: 0.25 }
+};
+
+// Named swatch roles and their target lightness/saturation windows (0-1).
+// A scheme preset can override any window through its swatchTargets entry.
+const SWATCH_ROLES = {
+  lightVibrant: {
+    lightness: { min: 0.55, target: 0.74, max: 1.0 },
+    saturation: { min: 0.35, target: 1.0, max: 1.0 }
+  },
+  vibrant: {
+    lightness: { min: 0.3, target: 0.5, max: 0.7 },
+    saturation: { min: 0.35, target: 1.0, max: 1.0 }
+  },
+  darkVibrant: {
+    lightness: { min: 0.0, target: 0.26, max: 0.45 },
+    saturation: { min: 0.35, target: 1.0, max: 1.0 }
+  },
+  lightMuted: {
+    lightness: { min: 0.55, target: 0.74, max: 1.0 },
+    saturation: { min: 0.0, target: 0.3, max: 0.4 }
+  },
+  muted: {
+    lightness: { min: 0.3, target: 0.5, max: 0.7 },
+    saturation: { min: 0.0, target: 0.3, max: 0.4 }
+  },
+  darkMuted: {
+    lightness: { min: 0.0, target: 0.26, max: 0.45 },
+    saturation: { min: 0.0, target: 0.3, max: 0.4 }
+  }
+};
+
+// Tonal scale steps: OKLCH lightness in even steps, and the share of the dominant
+// color's chroma kept at each step (tapered towards white and black)
+const TONAL_STEPS = {
+  50: { lightness: 0.97, chroma: 0.15 },
+  100: { lightness: 0.898, chroma: 0.3 },
+  200: { lightness: 0.826, chroma: 0.5 },
+  300: { lightness: 0.754, chroma: 0.7 },
+  400: { lightness: 0.682, chroma: 0.9 },
+  500: { lightness: 0.61, chroma: 1.0 },
+  600: { lightness: 0.538, chroma: 1.0 },
+  700: { lightness: 0.466, chroma: 0.95 },
+  800: { lightness: 0.394, chroma: 0.85 },
+  900: { lightness: 0.322, chroma: 0.7 },
+  950: { lightness: 0.25, chroma: 0.55 }
+};
+
+// Neutral tokens for each theme mode, in OKLCH. Chroma is the most tint taken
+// from the dominant color (a gray image gives pure grays).
+const THEME_MODES = {
+  light: {
+    background: { lightness: 0.99, chroma: 0.005 },
+    surface: { lightness: 0.96, chroma: 0.012 },
+    border: { lightness: 0.88, chroma: 0.02 },
+    text: { lightness: 0.22, chroma: 0.02 },
+    textMuted: { lightness: 0.45, chroma: 0.025 }
+  },
+  dark: {
+    background: { lightness: 0.17, chroma: 0.01 },
+    surface: { lightness: 0.23, chroma: 0.015 },
+    border: { lightness: 0.35, chroma: 0.02 },
+    text: { lightness: 0.96, chroma: 0.005 },
+    textMuted: { lightness: 0.75, chroma: 0.015 }
+  }
+};
+
+// Color harmonies, generated in the order of the `harmonies` option. colors() receives
+// the params merged over these defaults, the source color ({ h, s, l } 0-1) and the
+// extractor, and returns { hue } offsets in degrees from the source hue, optionally
+// with their own saturation and lightness (0-1), or a minSaturation the FIXED strategy
+// does not go below. Each color gets a --theme-<variable>-N
+// CSS variable. ColorTheoryExtractor.registerHarmony() adds custom harmonies.
+const HARMONIES = {
+  complementary: {
+    variable: 'complementary',
+    single: true, // A hex string in the palette rather than { color1 }
+    params: {},
+    colors: (params, { s }) => [{ hue: 180, minSaturation: s }] // As vivid as the source at least
+  },
+  analogous: {
+    variable: 'analogous',
+    params: { angle: 30, count: 2 }, // Alternates either side: +angle, -angle, +2 × angle...
+    colors: ({ angle, count }) => Array.from({ length: count }, (_, i) =>
+      ({ hue: (i % 2 ? -1 : 1) * angle * (Math.floor(i / 2) + 1) }))
+  },
+  // The harmonies below place colors on fixed arms. `count` beyond the number of arms
+  // adds colors spread degrees either side of them, see harmonyArms()
+  splitComplementary: {
+    variable: 'split',
+    params: { angle: 28.8, count: 2, spread: 15 }, // Either side of the complement
+    colors: ({ angle, count, spread }, source, extractor) =>
+      extractor.harmonyArms([180 - angle, 180 + angle], count, spread)
+  },
+  triadic: {
+    variable: 'triadic',
+    params: { count: 2, spread: 15 },
+    colors: ({ count, spread }, source, extractor) => extractor.harmonyArms([120, 240], count, spread)
+  },
+  tetradic: {
+    variable: 'tetradic',
+    params: { angle: 60, count: 3, spread: 15 }, // Rectangle: the source and its complement, each paired with a hue angle degrees on
+    colors: ({ angle, count, spread }, source, extractor) =>
+      extractor.harmonyArms([angle, 180, 180 + angle], count, spread)
+  },
+  square: {
+    variable: 'square',
+    params: { count: 3, spread: 15 },
+    colors: ({ count, spread }, source, extractor) => extractor.harmonyArms([90, 180, 270], count, spread)
+  },
+  monochromatic: {
+    variable: 'monochromatic',
+    params: { count: 4, range: [0.2, 0.8] }, // Lightness spread evenly over range
+    colors: ({ count, range: [min, max] }) => Array.from({ length: count }, (_, i) =>
+      ({ hue: 0, lightness: count > 1 ? min + (max - min) * i / (count - 1) : (min + max) / 2 }))
+  },
+  compound: {
+    variable: 'compound',
+    params: { angle: 30, count: 3, spread: 15 }, // One analogous color and the two split complements
+    colors: ({ angle, count, spread }, source, extractor) =>
+      extractor.harmonyArms([angle, 180 - angle, 180 + angle], count, spread)
+  },
+  doubleSplit: {
+    variable: 'double-split',
+    params: { angle: 30, count: 4, spread: 15 }, // Either side of the source and of its complement
+    colors: ({ angle, count, spread }, source, extractor) =>
+      extractor.harmonyArms([angle, -angle, 180 - angle, 180 + angle], count, spread)
+  }
+};
+
+// Keys generatePalette() sets itself, so no harmony can be registered under them
+const PALETTE_FIELDS = [
+  'dominant', 'accent1', 'accent2', 'accent3', 'accent4', 'standard',
+  'foreColor', 'altForeColor', 'imageForeColor', 'tonalScale',
+  'isLight', 'isDark', 'isExtreme', 'contrastRatios', 'textArea',
+  'roles', 'modes', 'explain', 'debugScores', 'detectedContext', 'filterRejections', 'hueRejections'
+];
+
+// How a harmony color gets its saturation and lightness, chosen per harmony or with
+// the harmonyStrategy option. Each receives the harmony hue (HSL degrees), the color
+// from the harmony's colors() (its own saturation/lightness win), the source
+// color ({ h, s, l } 0-1) and the extractor, and returns a hex color.
+const HARMONY_STRATEGIES = {
+  // The source's OKLCH lightness and chroma at the new hue, chroma lowered to fit sRGB
+  INHERIT: (hue, color, source, extractor) => {
+    const rgb = extractor.hslToRgb(hue / 360, color.saturation ?? source.s, color.lightness ?? source.l);
+    const [L, C, h] = extractor.rgbToOklch(...rgb);
+    const [sourceL, sourceC] = extractor.rgbToOklch(...extractor.hslToRgb(source.h, source.s, source.l));
+    const oklch = extractor.gamutMapOklch(
+      color.lightness === undefined ? sourceL : L,
+      color.saturation === undefined ? sourceC : C,
+      h
+    );
+    return extractor.rgbToHex(...extractor.oklchToRgb(...oklch));
+  },
+  // harmonyPaletteSaturation and harmonyPaletteLightness (the source lightness if unset)
+  FIXED: (hue, color, source, extractor) => extractor.hslToHex(
+    hue / 360,
+    color.saturation ?? Math.max(color.minSaturation ?? 0, extractor.options.harmonyPaletteSaturation),
+    color.lightness ?? (extractor.options.harmonyPaletteLightness || source.l)
+  ),
+  // The scheme preset's harmonyTarget, or the middle of its saturation and tint ranges
+  SCHEME: (hue, color, source, extractor) => {
+    const { harmonyTarget, saturationRange, tintRange } = extractor.options;
+    return extractor.hslToHex(
+      hue / 360,
+      color.saturation ?? harmonyTarget?.saturation ?? (saturationRange[0] + saturationRange[1]) / 2,
+      color.lightness ?? harmonyTarget?.lightness ?? (tintRange[0] + tintRange[1]) / 2
+    );
+  }
+};
+
 const SCHEME_PRESETS = {
   VIBRANT: {
     saturationRange: [0.5, 1.0],
-    tintRange: [0.3, 0.7]
+    tintRange: [0.3, 0.7],
+    harmonyTarget: { saturation: 0.85, lightness: 0.5 } // Used by the SCHEME harmony strategy
   },
   PASTEL: {
     saturationRange: [0.2, 0.6],
-    tintRange: [0.6, 0.9]
+    tintRange: [0.6, 0.9],
+    harmonyTarget: { saturation: 0.45, lightness: 0.8 },
+    swatchTargets: {
+      lightVibrant: { lightness: { min: 0.65, target: 0.82, max: 1.0 } },
+      lightMuted: { lightness: { min: 0.65, target: 0.85, max: 1.0 } }
+    }
   },
   DARK: {
     saturationRange: [0.3, 0.8],
-    tintRange: [0.1, 0.5]
+    tintRange: [0.1, 0.5],
+    harmonyTarget: { saturation: 0.6, lightness: 0.25 },
+    swatchTargets: {
+      darkVibrant: { lightness: { min: 0.0, target: 0.2, max: 0.35 } },
+      darkMuted: { lightness: { min: 0.0, target: 0.18, max: 0.35 } }
+    }
   }
 };
 
+// Ranges with min > max wrap past 360° (e.g. REDS covers 345-360 and 0-15)
 const HUE_RANGES = {
   // Hue ranges to exclude (in degrees)
   EXCLUDE: [
     { min: 15, max: 40 },   // Brown
     { min: 50, max: 60 }    // Muddy yellow
   ],
-  // Specific hue ranges to include (overrides excludes)
+  // Named hue ranges to include, can also be referenced by name (e.g. 'REDS').
+  // ColorTheoryExtractor.registerHueRange() adds custom names here.
   INCLUDE: {
     REDS: { min: 345, max: 15 },
     ORANGES: { min: 15, max: 45 },
@@ -175,6 +375,39 @@ const HUE_RANGES = {
   }
 };
 
+// Pixel filters, run in the order of the `filters` option. A filter's test receives
+// the pixel ({ r, g, b } 0-255 and { h, s, l } 0-1), its params merged over these
+// defaults, the extractor and the running stats, and returns true to keep the pixel.
+// ColorTheoryExtractor.registerFilter() adds custom filters.
+const PIXEL_FILTERS = {
+  tint: {
+    params: { range: null }, // Defaults to options.tintRange
+    test: ({ l }, { range }, extractor) => {
+      const [min, max] = range || extractor.options.tintRange;
+      return l >= min && l <= max;
+    }
+  },
+  saturation: {
+    params: { range: null }, // Defaults to options.saturationRange
+    test: ({ s }, { range }, extractor) => {
+      const [min, max] = range || extractor.options.saturationRange;
+      return s >= min && s <= max;
+    }
+  },
+  hue: {
+    params: {}, // Configured through options.hueFiltering
+    test: ({ h }, params, extractor, stats) => extractor.isValidHue(h, stats?.hueRejections)
+  },
+  neutral: {
+    params: {},
+    test: ({ r, g, b }, params, extractor) => !extractor.isNeutralColor(r, g, b)
+  },
+  skin: {
+    params: { method: 'YCBCR' }, // 'YCBCR' (all skin tones) or 'RGB' (original light skin box)
+    test: ({ r, g, b }, { method }, extractor) => !extractor.isLikelySkinTone(r, g, b, method)
+  }
+};
+
 // Color blindness simulation matrices
 const COLORBLIND_MATRICES = {
   PROTANOPIA: [
@@ -197,6 +430,97 @@ const COLORBLIND_MATRICES = {
   ]
 };
 
+// Color distance metrics and the largest distance between two sRGB colors in each,
+// used to normalize distances to 0-1 so the scoring weights keep their meaning
+const DISTANCE_METRICS = {
+  REDMEAN: 1,       // Weighted RGB, already normalized
+  CIEDE2000: 119.2, // Delta E 2000 in CIELAB
+  CIE76: 258.7,     // Euclidean distance in CIELAB
+  OKLAB: 1.0        // Euclidean distance in OKLab
+};
+
+// URL of this script, so useWorker can load the same file as its worker
+const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+// Built-in strategies for the loader option, each resolves a URL to something drawImage() accepts
+const IMAGE_LOADERS = {
+  ANONYMOUS: (url, extractor, { signal }) => extractor.loadImageElement(url, 'anonymous', signal),
+  CREDENTIALS: (url, extractor, { signal }) => extractor.loadImageElement(url, 'use-credentials', signal),
+  FETCH: (url, extractor, { signal }) => extractor.fetchImage(url, signal),
+  PROXY: (url, extractor, { signal }) => extractor.loadImageElement(extractor.getProxyUrl(url), 'anonymous', signal)
+};
+
+// Options used only on the main thread (loading, caching), never sent to the worker
+// and left out of the cache key
+const MAIN_THREAD_OPTIONS = ['loader', 'proxyUrl', 'cache', 'cacheTtl', 'cacheMaxEntries', 'cacheVersion'];
+
+// Bump when the palette object changes shape, so cached palettes are recomputed
+const CACHE_FORMAT = 3;
+
+// Storage for the cache option. Entries are { key, palette, created, expires }.
+const CACHE_BACKENDS = {
+  MEMORY: () => {
+    // Copied in and out, like the other backends, so callers can't change a cached palette
+    const entries = new Map();
+    return {
+      get: key => Promise.resolve(entries.has(key) ? structuredClone(entries.get(key)) : undefined),
+      set: entry => Promise.resolve(entries.set(entry.key, structuredClone(entry))),
+      delete: key => Promise.resolve(entries.delete(key)),
+      all: () => Promise.resolve([...entries.values()]),
+      clear: () => Promise.resolve(entries.clear())
+    };
+  },
+
+  LOCAL_STORAGE: () => {
+    const prefix = 'color-theory:';
+    const keys = () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+      .filter(key => key?.startsWith(prefix));
+    return {
+      get: key => Promise.resolve(JSON.parse(localStorage.getItem(prefix + key))),
+      set: entry => Promise.resolve(localStorage.setItem(prefix + entry.key, JSON.stringify(entry))),
+      delete: key => Promise.resolve(localStorage.removeItem(prefix + key)),
+      all: () => Promise.resolve(keys().map(key => JSON.parse(localStorage.getItem(key)))),
+      clear: () => Promise.resolve(keys().forEach(key => localStorage.removeItem(key)))
+    };
+  },
+
+  INDEXED_DB: () => {
+    let database = null;
+    const open = () => database || (database = new Promise((resolve, reject) => {
+      const request = indexedDB.open('color-theory', 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('palettes', { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+    const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+      const request = action(db.transaction('palettes', mode).objectStore('palettes'));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+    return {
+      get: key => run('readonly', store => store.get(key)),
+      set: entry => run('readwrite', store => store.put(entry)),
+      delete: key => run('readwrite', store => store.delete(key)),
+      all: () => run('readonly', store => store.getAll()),
+      clear: () => run('readwrite', store => store.clear())
+    };
+  }
+};
+
+// Rejected when a source cannot be loaded or read.
+// type is 'NETWORK', 'CORS', 'DECODE' or 'TAINTED_CANVAS'
+class ColorTheoryLoadError extends Error {
+  constructor(type, message, { url = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ColorTheoryLoadError';
+    this.type = type;
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
 /**
  * Weight System Explanation:
  * 
@@ -253,14 +577,36 @@ class ColorTheoryExtractor {
       saturationRange: [0.3, 1.0],
       minimumScore: 0,          // Minimum score threshold (0 means any score is valid)
       fallbackColor: '#3B82F6', // Default fallback if no colors found/valid
-      context: 'TECH',
+      context: 'TECH',          // A context name, a blend such as { TECH: 0.7, LUXURY: 0.3 }, or 'AUTO'
       scheme: 'VIBRANT',
+      colorWheel: 'RGB',        // 'RGB' (HSL hues) or 'RYB' (artist's wheel: red/green, blue/orange, yellow/purple complements)
+      modes: null,              // e.g. ['light', 'dark']: adds palette.modes, neutrals and contrast-safe accents per mode
+      modeSelector: 'MEDIA',    // 'MEDIA' (prefers-color-scheme) or 'DATA_THEME' ([data-theme="dark"]), first mode is the default
+      // Harmonies in order, as names or { name, enabled, params, strategy } (see HARMONIES)
+      harmonies: ['complementary', 'analogous', 'splitComplementary', 'triadic'],
+      harmonyStrategy: 'FIXED', // 'INHERIT', 'FIXED' or 'SCHEME' (see HARMONY_STRATEGIES), for harmonies without their own
       harmonyPaletteSaturation: 0.85,
       harmonyPaletteLightness: 0.25,
       debug: false,
+      explain: false,           // Attach palette.explain: where pixels went, every candidate's scores, why the primary won
       
       maxDimension: 400,
       sampleRate: 4,
+      quantizer: 'GRID',        // 'GRID', 'MEDIAN_CUT', 'KMEANS', 'OCTREE' or function(samples, options)
+      clusterCount: 8,          // Number of clusters for MEDIAN_CUT, KMEANS and OCTREE
+      quantizerSeed: 1,         // Seed for KMEANS initialization (same seed, same palette)
+      distanceMetric: 'REDMEAN', // 'REDMEAN', 'CIEDE2000', 'CIE76' or 'OKLAB'
+      swatchRoles: false,       // Fill Vibrant, Muted, DarkVibrant... roles from the image histogram
+      useWorker: false,         // Run downscaling, histogram and scoring in a Web Worker
+      workerConcurrency: 2,     // Maximum number of workers processing images at once
+      workerUrl: SCRIPT_URL,    // Script loaded by the worker, this file by default
+      loader: 'ANONYMOUS',      // 'ANONYMOUS', 'CREDENTIALS', 'FETCH', 'PROXY', function(url, extractor, { signal }),
+                                // or a list of them tried in order until one succeeds
+      proxyUrl: null,           // PROXY: template such as 'https://proxy.example/?url={url}', or function(url)
+      cache: false,             // false, 'MEMORY', 'LOCAL_STORAGE', 'INDEXED_DB' or { get, set, delete, all, clear }
+      cacheTtl: 7 * 24 * 60 * 60 * 1000, // Milliseconds a cached palette stays valid, 0 for no expiry
+      cacheMaxEntries: 100,     // Oldest palettes are evicted beyond this many
+      cacheVersion: null,       // Part of the cache key, e.g. a deploy id or ETag. function(url) may return a Promise
       copySpace: {
         mode: 'auto',        // 'auto', 'left', 'right', 'top', 'bottom', 'center'
         selector: null,      // CSS selector for text container if different from main element
@@ -271,13 +617,27 @@ class ColorTheoryExtractor {
       imageFit: 'cover',        // CSS background-size value
       
       hueFiltering: {
-        mode: 'EXCLUDE',          
+        mode: 'EXCLUDE',          // 'EXCLUDE', 'INCLUDE' or 'BOTH' (included and not excluded)
         excludeRanges: HUE_RANGES.EXCLUDE,
         includeRanges: [
           HUE_RANGES.INCLUDE.REDS,
           HUE_RANGES.INCLUDE.BLUES,
           HUE_RANGES.INCLUDE.GREENS
-        ]
+        ],
+        softEdge: 0               // Degrees either side of a boundary scored with a penalty instead of cut
+      },
+      // Pixel filters in order, as names or { name, enabled, params } (see PIXEL_FILTERS)
+      filters: ['tint', 'saturation', 'hue', 'neutral', 'skin'],
+      alphaThreshold: 0.1,      // Pixels less opaque than this (0-1) are skipped as transparent
+      alphaWeighting: true,     // Semi-transparent pixels count by their opacity
+      matteColor: null,         // If set (hex), transparent pixels are composited onto it instead
+      backgroundLayers: 'FIRST', // 'FIRST' image layer, or 'ALL' layers merged (top layers weigh more)
+      backgroundGradients: true, // Use gradient color stops as layers
+      spatialWeighting: {
+        mode: 'NONE',             // 'NONE', 'CENTER', 'EDGE' or 'FOCAL'
+        falloff: 0.5,             // CENTER: Gaussian sigma as a fraction of the distance to the corners
+        edgeWidth: 0.15,          // EDGE: fraction of the shorter side faded out along each border
+        focalPoint: { x: 50, y: 50, radius: 20 } // FOCAL: in percentages of width/height
       },
       // Accessibility
       accessibilityChecks: true,
@@ -308,7 +668,12 @@ class ColorTheoryExtractor {
     // If element exists, apply data attributes
     if (element) {
       const attributes = this.getAttributeConfiguration(element);
-      config = { ...config, ...attributes };
+      // data-shade alone only sets tintRange[0], the other end keeps its value
+      for (const [key, value] of Object.entries(attributes)) {
+        config[key] = Array.isArray(value) && Array.isArray(config[key])
+          ? config[key].map((current, i) => value[i] ?? current)
+          : value;
+      }
     }
 
     return config;
@@ -318,9 +683,18 @@ class ColorTheoryExtractor {
     const config = {};
     
     const attributeMap = {
-      'context': { type: 'string', transform: v => v.toUpperCase() },
+      // A single context, or a blend such as "tech:0.7,luxury:0.3"
+      'context': { type: 'string', transform: v => v.includes(':')
+        ? Object.fromEntries(v.split(',').map(part => {
+            const [name, weight] = part.split(':');
+            return [name.trim().toUpperCase(), Number(weight)];
+          }))
+        : v.toUpperCase() },
       'scheme': { type: 'string', transform: v => v.toUpperCase() },
+      'colorWheel': { type: 'string', transform: v => v.toUpperCase() }, // data-color-wheel
       'weight': { type: 'number', prop: 'psychologyWeight' },
+      'frequencyWeight': { type: 'number' }, // data-frequency-weight
+      'proximityWeight': { type: 'number' }, // data-proximity-weight
       'frequency': { type: 'number', prop: 'minFrequency' },
       'shade': { type: 'number', prop: 'tintRange.0' },
       'tint': { type: 'number', prop: 'tintRange.1' },
@@ -348,8 +722,12 @@ class ColorTheoryExtractor {
 
         if (settings.prop) {
           const [obj, index] = settings.prop.split('.');
-          if (!config[obj]) config[obj] = [];
-          config[obj][index] = processed;
+          if (index === undefined) {
+            config[obj] = processed;
+          } else {
+            if (!config[obj]) config[obj] = [];
+            config[obj][index] = processed;
+          }
         } else {
           config[attr] = processed;
         }
@@ -360,8 +738,140 @@ class ColorTheoryExtractor {
   }
 
   // Main extraction methods
-  extractPaletteFromImageUrl(url) {
-    return new Promise((resolve, reject) => {
+
+  // Accepts a URL, <img>, <canvas>, <video> (current frame), inline <svg>, ImageBitmap,
+  // Blob/File, ImageData or { data, width, height }. Any other element is read
+  // through its CSS background image.
+  // Every extraction method takes { signal, timeout } to cancel it, see abortable().
+  extractPalette(source, abortOptions = {}) {
+    return this.abortable(abortOptions, signal => new Promise((resolve, reject) => {
+      if (!source) {
+        reject(new Error('No image source'));
+        return;
+      }
+
+      if (this.options.color) {
+        resolve(this.paletteFromOverride());
+        return;
+      }
+
+      if (this.isPixelData(source)) {
+        resolve(this.extractPaletteFromPixels(source));
+        return;
+      }
+
+      if (this.isInstance(source, 'Element') && !this.isDrawableElement(source)) {
+        this.extractPaletteFromBackgroundImage(source, { signal }).then(resolve).catch(reject);
+        return;
+      }
+
+      const url = typeof source === 'string' ? source
+        : this.isInstance(source, 'HTMLImageElement') ? source.currentSrc || source.src
+        : null;
+
+      this.withCache(url, () => this.loadSource(source, signal)
+        .then(drawable => this.extractPaletteFromLoadedImage(drawable, signal))
+        .catch(error => {
+          // A loaded <img> without CORS headers taints the canvas, so load it again through the loader
+          if (error?.type === 'TAINTED_CANVAS' && url) {
+            return this.loadImage(url, signal)
+              .then(img => this.extractPaletteFromLoadedImage(img, signal));
+          }
+          throw error;
+        }))
+        .then(resolve)
+        .catch(reject);
+    }));
+  }
+
+  isInstance(value, type) {
+    return typeof globalThis[type] === 'function' && value instanceof globalThis[type];
+  }
+
+  isPixelData(source) {
+    return this.isInstance(source, 'ImageData') ||
+      (source?.data?.length !== undefined && source.width > 0 && source.height > 0);
+  }
+
+  isDrawableElement(element) {
+    return ['HTMLImageElement', 'HTMLCanvasElement', 'HTMLVideoElement', 'SVGSVGElement']
+      .some(type => this.isInstance(element, type));
+  }
+
+  // Resolves any supported source to something drawImage() accepts
+  loadSource(source, signal = null) {
+    if (typeof source === 'string') {
+      return this.loadImage(source, signal);
+    }
+
+    if (this.isInstance(source, 'HTMLImageElement')) {
+      if (source.complete && source.naturalWidth > 0) return Promise.resolve(source);
+      const url = source.currentSrc || source.src;
+      const error = () => new ColorTheoryLoadError('NETWORK', `Failed to load image: ${url}`, { url });
+      if (source.complete) return Promise.reject(error());
+      return new Promise((resolve, reject) => {
+        source.addEventListener('load', () => resolve(source), { once: true });
+        source.addEventListener('error', () => reject(error()), { once: true });
+      });
+    }
+
+    if (this.isInstance(source, 'HTMLVideoElement')) {
+      if (source.readyState >= 2) return Promise.resolve(source); // HAVE_CURRENT_DATA
+      return new Promise((resolve, reject) => {
+        source.addEventListener('loadeddata', () => resolve(source), { once: true });
+        source.addEventListener('error', () => reject(new ColorTheoryLoadError(
+          'NETWORK', `Failed to load video: ${source.currentSrc}`, { url: source.currentSrc }
+        )), { once: true });
+      });
+    }
+
+    if (this.isInstance(source, 'SVGSVGElement')) {
+      return this.loadSvgElement(source, signal);
+    }
+
+    if (this.isInstance(source, 'Blob')) {
+      return this.loadBlob(source, null, signal);
+    }
+
+    if (['HTMLCanvasElement', 'OffscreenCanvas', 'ImageBitmap'].some(type => this.isInstance(source, type))) {
+      return Promise.resolve(source);
+    }
+
+    return Promise.reject(new Error('Unsupported image source'));
+  }
+
+  loadBlob(blob, url = null, signal = null) {
+    const viaObjectUrl = () => {
+      const objectUrl = URL.createObjectURL(blob);
+      return this.loadImage(objectUrl, signal).finally(() => URL.revokeObjectURL(objectUrl));
+    };
+
+    // createImageBitmap decodes off the main thread, but not every browser takes SVG blobs
+    const decoded = typeof createImageBitmap === 'undefined' || blob.type === 'image/svg+xml'
+      ? viaObjectUrl()
+      : createImageBitmap(blob).catch(viaObjectUrl);
+
+    return decoded.catch(error => {
+      this.throwIfAborted(signal);
+      throw new ColorTheoryLoadError('DECODE', `Failed to decode image${url ? `: ${url}` : ''}`, { url, cause: error });
+    });
+  }
+
+  loadSvgElement(svg, signal = null) {
+    const clone = svg.cloneNode(true);
+    const { width, height } = svg.getBoundingClientRect();
+
+    // Without explicit dimensions the SVG image has no intrinsic size to draw at
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    if (!clone.getAttribute('width')) clone.setAttribute('width', width || 300);
+    if (!clone.getAttribute('height')) clone.setAttribute('height', height || 150);
+
+    const markup = new XMLSerializer().serializeToString(clone);
+    return this.loadBlob(new Blob([markup], { type: 'image/svg+xml' }), null, signal);
+  }
+
+  extractPaletteFromImageUrl(url, abortOptions = {}) {
+    return this.abortable(abortOptions, signal => new Promise((resolve, reject) => {
       if (!url) {
         reject(new Error('Invalid image URL'));
         return;
@@ -369,57 +879,388 @@ class ColorTheoryExtractor {
       
       // Check for color override at global level
       if (this.options.color) {
-        const palette = this.generatePalette(this.options.color);
-        palette.debugScores = []; // Empty since we skipped processing
-        resolve(palette);
+        resolve(this.paletteFromOverride());
         return;
       }
 
+      this.withCache(url, () => this.loadImage(url, signal)
+        .then(img => this.extractPaletteFromLoadedImage(img, signal)))
+        .then(resolve)
+        .catch(reject);
+    }));
+  }
+
+  extractPaletteFromLoadedImage(img, signal = null) {
+    return this.runExtraction(img, 'palette', signal);
+  }
+
+  // Histograms and filter counts for a loaded image, without building a palette
+  analyzeLoadedImage(img, signal = null) {
+    return this.runExtraction(img, 'analysis', signal);
+  }
+
+  // task is 'palette' or 'analysis'. Runs on the worker when it can, and on this thread
+  // otherwise or when the worker fails
+  runExtraction(img, task, signal = null) {
+    const extract = pixels => task === 'analysis'
+      ? this.analyzePixels(pixels.data, pixels.width, pixels.height)
+      : this.extractPaletteFromPixels(pixels);
+
+    if (!this.options.useWorker || !this.canUseWorker()) {
+      return new Promise(resolve => {
+        this.throwIfAborted(signal);
+        resolve(extract(this.getImagePixels(img)));
+      });
+    }
+
+    const pool = ColorTheoryWorkerPool.get(this.options.workerUrl, this.options.workerConcurrency);
+    const options = Object.fromEntries(Object.entries(this.options)
+      .filter(([key]) => !MAIN_THREAD_OPTIONS.includes(key)));
+    return createImageBitmap(img)
+      .then(bitmap => pool.run(bitmap, options, task, signal))
+      .catch(error => {
+        this.throwIfAborted(signal);
+        console.warn('Worker extraction failed, using main thread:', error);
+        return extract(this.getImagePixels(img));
+      });
+  }
+
+  canUseWorker() {
+    if (typeof Worker === 'undefined' ||
+        typeof OffscreenCanvas === 'undefined' ||
+        typeof createImageBitmap === 'undefined' ||
+        !this.options.workerUrl) {
+      return false;
+    }
+
+    // Options are copied to the worker, functions (e.g. a custom quantizer) cannot be.
+    // Loading and caching happen on this thread, so their hooks don't count.
+    if (Object.entries(this.options).some(([key, value]) =>
+        typeof value === 'function' && !MAIN_THREAD_OPTIONS.includes(key))) {
+      return false;
+    }
+
+    // Registered filters and harmonies only exist on this thread
+    if (this.getFilterPipeline().some(filter => filter.custom) ||
+        this.getHarmonies().some(harmony => harmony.custom)) {
+      return false;
+    }
+
+    return !ColorTheoryWorkerPool.get(this.options.workerUrl, this.options.workerConcurrency).disabled;
+  }
+
+  // Palette for the color option, no image is read
+  paletteFromOverride() {
+    const palette = this.generatePalette(this.options.color);
+    palette.debugScores = []; // Empty since we skipped processing
+    if (this.options.explain) palette.explain = { path: 'OVERRIDE', color: this.options.color };
+    return palette;
+  }
+
+  // DOM-free core: runs filtering, scoring and palette generation on raw RGBA pixels,
+  // e.g. ImageData, or { data, width, height } from a decoder in Node or a worker
+  extractPaletteFromPixels({ data, width, height }) {
+    if (this.options.color) {
+      return this.paletteFromOverride();
+    }
+
+    if (!data || data.length < width * height * 4) {
+      throw new Error('Invalid pixel data');
+    }
+
+    return this.buildPalette(this.processPixels(data, width, height));
+  }
+
+  static fromImageData(imageData, options = {}) {
+    return new ColorTheoryExtractor(null, options).extractPaletteFromPixels(imageData);
+  }
+
+  buildPalette({ bestColor, debugScores, allColors, analysis }) {
+    // If no color met our criteria but we have colors to choose from
+    let finalColor = bestColor;
+    let path = 'SCORED';
+    if (!finalColor && allColors.length > 0) {
+      // Use the highest scoring color regardless of threshold
+      const highestScoring = debugScores[0];
+      finalColor = highestScoring.color;
+      path = 'HIGHEST_SCORING';
+      console.warn('No color met criteria, using highest scoring color:', highestScoring);
+    }
+
+    // If still no color, use fallback
+    if (!finalColor) {
+      finalColor = this.options.fallbackColor || '#3B82F6'; // Default blue
+      path = 'FALLBACK';
+      console.warn('Using fallback color:', finalColor);
+    }
+
+    const palette = this.generatePalette(finalColor, null, analysis);
+    palette.debugScores = debugScores;
+    palette.filterRejections = analysis.filterRejections; // Pixels removed per filter
+    palette.hueRejections = analysis.hueRejections; // Pixels rejected per hue range
+    if (analysis.detectedContext) {
+      palette.detectedContext = analysis.detectedContext; // { name, confidence, scores, features }
+    }
+    if (this.options.explain) {
+      palette.explain = this.explainExtraction({ path, color: finalColor, debugScores, analysis });
+    }
+    return palette;
+  }
+
+  // path is 'SCORED' (best color met minimumScore), 'HIGHEST_SCORING' (none did, the top
+  // candidate was used anyway), 'FALLBACK' (no candidates) or 'OVERRIDE' (the color option)
+  explainExtraction({ path, color, debugScores, analysis }) {
+    // Every reason is listed, so a filter that removed nothing shows up as 0
+    const rejections = { transparent: 0, spatial: 0 };
+    this.getFilterPipeline().forEach(({ name }) => { rejections[name] = 0; });
+    Object.assign(rejections, analysis.filterRejections);
+
+    const filtered = Object.entries(rejections)
+      .filter(([reason]) => reason !== 'transparent')
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    // All histogram colors, including those under minFrequency that never got scored
+    const viable = new Set(debugScores.map(score => score.color));
+    const candidates = [...analysis.colorFrequencies.entries()]
+      .map(([candidate, frequency]) => {
+        const relativeFrequency = frequency / analysis.totalPixels;
+        return {
+          ...this.scoreColor(candidate, this.hexToRgb(candidate), relativeFrequency, this.resolveContext(analysis)),
+          coverage: relativeFrequency * 100,
+          viable: viable.has(candidate)
+        };
+      })
+      .sort((a, b) => b.viable - a.viable || b.totalScore - a.totalScore);
+
+    const [winner = null, runnerUp = null] = path === 'FALLBACK' ? [] : candidates.filter(c => c.viable);
+
+    return {
+      path,
+      color,
+      totalPixels: analysis.sampledPixels,
+      visiblePixels: analysis.visiblePixels,
+      acceptedPixels: analysis.visiblePixels - filtered,
+      rejections,
+      hueRejections: { ...analysis.hueRejections },
+      minFrequency: this.options.minFrequency,
+      minimumScore: this.options.minimumScore || 0,
+      candidates,
+      winner,
+      runnerUp,
+      margin: winner && runnerUp ? winner.totalScore - runnerUp.totalScore : null
+    };
+  }
+
+  // Tries each loader strategy in turn, rejecting with the last error if none succeeds
+  loadImage(url, signal = null) {
+    // Data and blob URLs are same-origin, there is nothing to fetch or proxy
+    const loaders = /^(data|blob):/i.test(url) ? ['ANONYMOUS'] : [].concat(this.options.loader);
+
+    return loaders.reduce(
+      (attempt, loader) => attempt.catch(() => {
+        this.throwIfAborted(signal);
+        return this.runLoader(loader, url, signal);
+      }),
+      Promise.reject(new Error('No image loader configured'))
+    );
+  }
+
+  runLoader(loader, url, signal = null) {
+    if (typeof loader === 'function') {
+      return Promise.resolve(loader(url, this, { signal }))
+        .then(result => this.isInstance(result, 'Blob') ? this.loadBlob(result, url, signal) : result);
+    }
+
+    const strategy = IMAGE_LOADERS[loader];
+    if (!strategy) {
+      return Promise.reject(new Error(`Unknown image loader: ${loader}`));
+    }
+    return strategy(url, this, { signal });
+  }
+
+  loadImageElement(url, crossOrigin, signal = null) {
+    return new Promise((resolve, reject) => {
+      this.throwIfAborted(signal);
+
       const img = new Image();
+      const onAbort = () => {
+        // Clearing src stops the download
+        img.onload = img.onerror = null;
+        img.src = '';
+        reject(this.getAbortError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       img.onload = () => {
-        // Get processed colors and debug info
-        const {bestColor, debugScores, allColors} = this.processImage(img);
-
-        // If no color met our criteria but we have colors to choose from
-        let finalColor = bestColor;
-        if (!finalColor && allColors.length > 0) {
-          // Use the highest scoring color regardless of threshold
-          const highestScoring = debugScores[0];
-          finalColor = highestScoring.color;
-          console.warn('No color met criteria, using highest scoring color:', highestScoring);
-        }
+        signal?.removeEventListener('abort', onAbort);
+        resolve(img);
+      };
+      img.onerror = () => {
+        signal?.removeEventListener('abort', onAbort);
 
-        // If still no color, use fallback
-        if (!finalColor) {
-          finalColor = this.options.fallbackColor || '#3B82F6'; // Default blue
-          console.warn('Using fallback color:', finalColor);
+        if (/^(data|blob):/i.test(url)) {
+          reject(new ColorTheoryLoadError('DECODE', 'Failed to decode image', { url }));
+          return;
         }
 
-        const palette = this.generatePalette(finalColor);
-        palette.debugScores = debugScores;
-        resolve(palette);
+        // <img> errors carry no reason, so load it again without CORS to tell
+        // a missing Access-Control-Allow-Origin header from an unreachable URL
+        this.probeImage(url).then(loads => reject(loads
+          ? new ColorTheoryLoadError('CORS', `Image is not served with CORS headers: ${url}`, { url })
+          : new ColorTheoryLoadError('NETWORK', `Failed to load image: ${url}`, { url })));
       };
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.crossOrigin = "Anonymous";
+      img.crossOrigin = crossOrigin;
+      img.src = url;
+    });
+  }
+
+  probeImage(url) {
+    return new Promise(resolve => {
+      const img = new Image();
+      img.onload = () => resolve(true);
+      img.onerror = () => resolve(false);
       img.src = url;
     });
   }
 
-  extractPaletteFromImage(element) {
+  fetchImage(url, signal = null) {
+    return fetch(url, { mode: 'cors', signal })
+      .catch(error => {
+        this.throwIfAborted(signal);
+        // fetch() rejects the same way for both, but only a cross-origin request can fail CORS
+        const type = this.isCrossOrigin(url) ? 'CORS' : 'NETWORK';
+        throw new ColorTheoryLoadError(type, `Failed to fetch image: ${url}`, { url, cause: error });
+      })
+      .then(response => {
+        if (!response.ok) {
+          throw new ColorTheoryLoadError('NETWORK', `Failed to fetch image (${response.status}): ${url}`, { url });
+        }
+        return response.blob();
+      })
+      .then(blob => this.loadBlob(blob, url, signal));
+  }
+
+  isCrossOrigin(url) {
+    return typeof location !== 'undefined' && new URL(url, location.href).origin !== location.origin;
+  }
+
+  getProxyUrl(url) {
+    const { proxyUrl } = this.options;
+    const absolute = typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+
+    if (typeof proxyUrl === 'function') return proxyUrl(absolute);
+    if (!proxyUrl) throw new Error('The PROXY loader needs a proxyUrl');
+
+    const encoded = encodeURIComponent(absolute);
+    return proxyUrl.includes('{url}') ? proxyUrl.replace('{url}', encoded) : proxyUrl + encoded;
+  }
+
+  // Resolves a fresh cached palette for url, or runs compute() and caches its result.
+  // The cache is best effort: storage errors are logged and never fail an extraction.
+  withCache(url, compute) {
+    // Data and blob URLs are not stable keys (and can be huge)
+    if (!this.options.cache || !url || /^(data|blob):/i.test(url)) {
+      return compute();
+    }
+
+    const cache = this.getCache();
+    return this.getCacheKey(url).then(key => cache.get(key).then(cached => cached || compute().then(palette => {
+      cache.set(key, palette, this.options);
+      return palette;
+    })));
+  }
+
+  getCache() {
+    return ColorTheoryCache.get(this.options.cache);
+  }
+
+  getCacheKey(url) {
+    const { cacheVersion } = this.options;
+    const version = typeof cacheVersion === 'function' ? cacheVersion(url) : cacheVersion;
+    return Promise.resolve(version)
+      .then(version => [CACHE_FORMAT, this.hashOptions(), version ?? '', url].join('|'));
+  }
+
+  // FNV-1a over the options that affect the palette, with object keys sorted
+  // so the hash is the same across sessions
+  hashOptions() {
+    const stringify = value => {
+      if (typeof value === 'function') return value.toString();
+      if (Array.isArray(value)) return `[${value.map(stringify).join(',')}]`;
+      if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${key}:${stringify(value[key])}`).join(',')}}`;
+      }
+      return JSON.stringify(value);
+    };
+
+    const relevant = Object.fromEntries(Object.entries(this.options)
+      .filter(([key]) => !MAIN_THREAD_OPTIONS.includes(key) && !key.startsWith('worker') && key !== 'useWorker'));
+
+    let hash = 0x811c9dc5;
+    for (const char of stringify(relevant)) {
+      hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  clearCache() {
+    return this.options.cache ? this.getCache().clear() : Promise.resolve();
+  }
+
+  // Runs run(signal) with a signal that aborts when the caller's signal does or after
+  // `timeout` ms. The promise rejects right away, with an AbortError or a TimeoutError,
+  // while loading and processing stop at their next check of the signal.
+  abortable({ signal = null, timeout = 0 } = {}, run) {
+    if (!signal && !timeout) return run(null);
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(this.getAbortError(signal));
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(
+      new DOMException(`Extraction timed out after ${timeout}ms`, 'TimeoutError')
+    ), timeout) : null;
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (signal?.aborted) onAbort();
+
     return new Promise((resolve, reject) => {
+      if (controller.signal.aborted) {
+        reject(controller.signal.reason);
+        return;
+      }
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      run(controller.signal).then(resolve, reject);
+    }).finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    });
+  }
+
+  getAbortError(signal) {
+    return signal?.reason instanceof Error
+      ? signal.reason
+      : new DOMException('Extraction aborted', 'AbortError');
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) throw this.getAbortError(signal);
+  }
+
+  extractPaletteFromImage(element, abortOptions = {}) {
+    return this.abortable(abortOptions, signal => new Promise((resolve, reject) => {
       if (!element?.src) {
         reject(new Error('No image src found'));
         return;
       }
       
-      this.extractPaletteFromImageUrl(element?.src)
+      // Reuses the element if it has already loaded instead of fetching it again
+      this.extractPalette(element, { signal })
         .then(resolve)
         .catch(reject);
-    });
+    }));
   }
 
-  extractPaletteFromBackgroundImage(element) {
-    return new Promise((resolve, reject) => {
+  extractPaletteFromBackgroundImage(element, abortOptions = {}) {
+    return this.abortable(abortOptions, signal => new Promise((resolve, reject) => {
       const style = window.getComputedStyle(element);
       const bgImage = style.backgroundImage;
       
@@ -428,29 +1269,454 @@ class ColorTheoryExtractor {
         return;
       }
       
-      const url = bgImage.match(/url\(['"]?(.*?)['"]?\)/)?.[1];
-      if (!url) {
+      // Check for color override before loading any layer
+      if (this.options.color) {
+        resolve(this.paletteFromOverride());
+        return;
+      }
+
+      const layers = this.parseBackgroundImage(bgImage)
+        .filter(layer => layer.type === 'image' || this.options.backgroundGradients);
+      const images = layers.filter(layer => layer.type === 'image');
+      if (!layers.length) {
         reject(new Error('Invalid background image URL'));
         return;
       }
-      
-      this.extractPaletteFromImageUrl(url)
+
+      // A single image goes through the regular URL path (worker, loader, etc.)
+      if (this.options.backgroundLayers !== 'ALL' && images.length) {
+        this.extractPaletteFromImageUrl(images[0].url, { signal })
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+
+      const selected = this.options.backgroundLayers === 'ALL' ? layers : layers.slice(0, 1);
+      this.withCache(bgImage, () => Promise.all(selected.map(layer => this.analyzeBackgroundLayer(layer, signal)))
+        .then(analyses => {
+          this.throwIfAborted(signal);
+          // The first (top) layer counts the most: weights 1, 1/2, 1/3...
+          const merged = this.mergeAnalyses(analyses.map((analysis, i) => ({ analysis, weight: 1 / (i + 1) })));
+          return this.buildPalette(this.processAnalysis(merged));
+        }))
         .then(resolve)
         .catch(reject);
-    });
+    }));
   }
 
-  // Image processing
-  processImage(img) {
-    const { colorFrequencies, totalPixels } = this.analyzeImageColors(img);
-    const viableColors = this.filterViableColors(colorFrequencies, totalPixels);
-    return this.findBestColor(viableColors);
+  analyzeBackgroundLayer(layer, signal = null) {
+    if (layer.type === 'gradient') {
+      return Promise.resolve(this.analyzeGradient(layer.stops));
+    }
+    // Same loading and worker path as a single image
+    return this.loadImage(layer.url, signal).then(img => this.analyzeLoadedImage(img, signal));
   }
 
-  // Palette application helpers
-  addPalette(palette, element = document.documentElement) {
-    const {
-      dominant,
+  // Renders the stops into a 1px strip and analyzes it like any image
+  analyzeGradient(stops) {
+    const samples = 64;
+    const data = new Uint8ClampedArray(samples * 4);
+    for (let i = 0; i < samples; i++) {
+      const position = i / (samples - 1);
+      const next = stops.findIndex(stop => stop.position > position);
+      const from = stops[next === -1 ? stops.length - 1 : Math.max(0, next - 1)];
+      const to = next === -1 ? from : stops[next];
+      const t = to === from ? 0 : Math.max(0, (position - from.position) / (to.position - from.position));
+      for (let c = 0; c < 4; c++) {
+        data[i * 4 + c] = (from.color[c] + (to.color[c] - from.color[c]) * t) * (c === 3 ? 255 : 1);
+      }
+    }
+    return this.analyzePixels(data, samples, 1, false);
+  }
+
+  // Combines analyses by relative frequency, so a layer's weight does not depend on its size
+  mergeAnalyses(entries) {
+    const merged = {
+      colorFrequencies: new Map(),
+      totalPixels: 0,
+      sampledPixels: 0,
+      visiblePixels: 0,
+      roleFrequencies: this.options.swatchRoles ? new Map() : null,
+      contextStats: this.options.context === 'AUTO' ? this.createContextStats() : null,
+      filterRejections: {},
+      hueRejections: {}
+    };
+    const addCounts = (target, source) => {
+      for (const [key, count] of Object.entries(source || {})) {
+        target[key] = (target[key] || 0) + count;
+      }
+    };
+    const addFrequencies = (target, source, weight) => {
+      const total = [...source.values()].reduce((sum, count) => sum + count, 0);
+      if (!total) return;
+      for (const [color, count] of source) {
+        target.set(color, (target.get(color) || 0) + (count / total) * weight);
+      }
+    };
+
+    for (const { analysis, weight } of entries) {
+      merged.sampledPixels += analysis.sampledPixels;
+      merged.visiblePixels += analysis.visiblePixels;
+      addCounts(merged.filterRejections, analysis.filterRejections);
+      addCounts(merged.hueRejections, analysis.hueRejections);
+      if (merged.roleFrequencies && analysis.roleFrequencies) {
+        addFrequencies(merged.roleFrequencies, analysis.roleFrequencies, weight);
+      }
+      if (merged.contextStats && analysis.contextStats?.weight) {
+        const scale = weight / analysis.contextStats.weight;
+        for (const key of ['weight', 'chroma', 'temperature', 'saturation', 'lightness']) {
+          merged.contextStats[key] += analysis.contextStats[key] * scale;
+        }
+        addCounts(merged.contextStats.families, Object.fromEntries(Object.entries(analysis.contextStats.families)
+          .map(([family, value]) => [family, value * scale])));
+      }
+      if (analysis.totalPixels > 0) {
+        addFrequencies(merged.colorFrequencies, analysis.colorFrequencies, weight);
+        merged.totalPixels += weight;
+      }
+    }
+
+    return merged;
+  }
+
+  // Splits a computed background-image into layers, top layer first: { type: 'image', url }
+  // for url() and image-set(), { type: 'gradient', stops: [{ color: [r, g, b, a], position }] }
+  parseBackgroundImage(value) {
+    const layers = [];
+
+    for (const layer of this.splitCssList(value)) {
+      const name = layer.slice(0, layer.indexOf('(')).trim().toLowerCase();
+      const args = layer.slice(layer.indexOf('(') + 1, layer.lastIndexOf(')'));
+
+      if (name === 'url') {
+        layers.push({ type: 'image', url: this.unquoteCss(args) });
+      } else if (name === 'image-set' || name === '-webkit-image-set') {
+        const url = this.selectImageSetCandidate(args);
+        if (url) layers.push({ type: 'image', url });
+      } else if (name.endsWith('-gradient')) {
+        const stops = this.parseGradientStops(args);
+        if (stops.length) layers.push({ type: 'gradient', stops });
+      }
+    }
+
+    return layers;
+  }
+
+  // Color stops with positions 0-1, filled in as CSS does: the first and last stops default
+  // to the ends, missing positions are spread evenly between their neighbours, and a
+  // position before an earlier stop's is moved up to it. Stops at lengths (e.g. 20px)
+  // count as missing, the gradient's size is unknown here.
+  parseGradientStops(args) {
+    const stops = [];
+    for (const part of this.splitCssList(args)) {
+      const [first, ...rest] = this.splitCssList(part, ' ');
+      const color = this.parseCssColor(first);
+      // The direction or shape (e.g. "to right", "circle at center") and color hints
+      if (!color) continue;
+
+      const positions = rest.map(token => /^-?[\d.]+%$/.test(token) ? parseFloat(token) / 100 : null);
+      // "red 10% 30%" is two stops of the same color
+      (positions.length ? positions.slice(0, 2) : [null]).forEach(position => stops.push({ color, position }));
+    }
+    if (!stops.length) return stops;
+
+    if (stops[0].position === null) stops[0].position = 0;
+    if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+
+    let previous = 0;
+    stops.forEach((stop, i) => {
+      if (stop.position === null) {
+        const end = stops.findIndex((next, j) => j > i && next.position !== null);
+        const to = Math.max(previous, stops[end].position);
+        stop.position = previous + (to - previous) / (end - i + 1);
+      }
+      stop.position = Math.max(previous, stop.position);
+      previous = stop.position;
+    });
+    return stops;
+  }
+
+  // Picks the lowest resolution candidate that still covers the device pixel ratio
+  selectImageSetCandidate(args) {
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const candidates = this.splitCssList(args).map(candidate => {
+      const [image, ...descriptors] = this.splitCssList(candidate, ' ');
+      const url = image.toLowerCase().startsWith('url(')
+        ? this.unquoteCss(image.slice(image.indexOf('(') + 1, image.lastIndexOf(')')))
+        : this.unquoteCss(image);
+
+      let resolution = 1;
+      for (const descriptor of descriptors) {
+        const match = /^([\d.]+)(x|dppx|dpi|dpcm)$/i.exec(descriptor);
+        if (!match) continue;
+        const factor = { x: 1, dppx: 1, dpi: 1 / 96, dpcm: 2.54 / 96 }[match[2].toLowerCase()];
+        resolution = Number(match[1]) * factor;
+      }
+      return { url, resolution };
+    }).sort((a, b) => a.resolution - b.resolution);
+
+    return (candidates.find(candidate => candidate.resolution >= ratio) || candidates[candidates.length - 1])?.url;
+  }
+
+  // Splits on a separator outside of parentheses and quotes (data URIs may contain both)
+  splitCssList(value, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (quote) {
+        if (char === '\\') {
+          current += char + (value[++i] || '');
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts;
+  }
+
+  unquoteCss(value) {
+    const trimmed = value.trim();
+    const quote = trimmed[0];
+    if ((quote === '"' || quote === "'") && trimmed.endsWith(quote)) {
+      return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return trimmed;
+  }
+
+  // Returns [r, g, b, alpha] with alpha 0-1, or null for anything that is not a color
+  parseCssColor(value) {
+    const text = value.trim().toLowerCase();
+    if (text === 'transparent') return [0, 0, 0, 0];
+
+    const hex = /^#([\da-f]{3,8})$/.exec(text)?.[1];
+    if (hex) {
+      if (hex.length !== 3 && hex.length !== 4 && hex.length !== 6 && hex.length !== 8) return null;
+      const digits = hex.length <= 4 ? [...hex].map(d => d + d) : hex.match(/../g);
+      const [r, g, b, a = 'ff'] = digits;
+      return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16), parseInt(a, 16) / 255];
+    }
+
+    const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+    if (fn) {
+      const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+      if (parts.length < 3) return null;
+      const number = (part, scale) => part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part);
+      const alpha = parts[3] !== undefined ? number(parts[3], 1) : 1;
+
+      if (fn[1].startsWith('rgb')) {
+        return [...parts.slice(0, 3).map(part => Math.round(number(part, 255))), alpha];
+      }
+      const hue = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+      return [...this.hslToRgb(hue, number(parts[1], 1), number(parts[2], 1)), alpha];
+    }
+
+    // Named colors, resolved by the browser
+    if (/^[a-z]+$/.test(text) && typeof document !== 'undefined') {
+      const ctx = this.createCanvas(1, 1).getContext('2d');
+      ctx.fillStyle = '#010203';
+      ctx.fillStyle = text;
+      return ctx.fillStyle === '#010203' ? null : this.parseCssColor(ctx.fillStyle);
+    }
+
+    return null;
+  }
+
+  // Tracks a video's palette while it plays. Frames are sampled at most `fps` times a second,
+  // the dominant color is smoothed in OKLab and the palette is only re-applied once the
+  // smoothed color moves more than `threshold` (0-1, CIEDE2000) from the applied one.
+  // Sampling pauses while the video is paused, ended, off-screen or in a hidden tab.
+  watchVideo(video, {
+    fps = 2,
+    smoothing = 0.3,  // 0-1, share of each new frame's color blended into the running color
+    threshold = 0.05,
+    element = document.documentElement,
+    onChange = null
+  } = {}) {
+    let smoothed = null;
+    let applied = null;
+    let timer = null;
+    let visible = true;
+    let stopped = false;
+
+    const isActive = () =>
+      !stopped && visible && !video.paused && !video.ended && !document.hidden;
+
+    const schedule = () => {
+      if (timer || !isActive()) return;
+      timer = setTimeout(sample, 1000 / fps);
+    };
+
+    const pause = () => {
+      clearTimeout(timer);
+      timer = null;
+    };
+
+    const sample = () => {
+      timer = null;
+      if (!isActive()) return;
+
+      if (video.readyState >= 2) { // HAVE_CURRENT_DATA
+        let result;
+        try {
+          const { data, width, height } = this.getImagePixels(video);
+          result = this.processPixels(data, width, height);
+        } catch (error) {
+          console.error('Stopped watching video:', error);
+          handle.stop();
+          return;
+        }
+
+        const color = result.bestColor || result.debugScores[0]?.color;
+        if (color) {
+          const lab = this.rgbToOklab(...this.hexToRgb(color));
+          smoothed = smoothed ? smoothed.map((v, i) => v + (lab[i] - v) * smoothing) : lab;
+          const rgb = this.oklabToRgb(...smoothed);
+
+          if (!applied || this.calculateColorDistance(applied, rgb, 'CIEDE2000') > threshold) {
+            applied = rgb;
+            const palette = this.generatePalette(this.rgbToHex(...rgb), null, result.analysis);
+            palette.debugScores = result.debugScores;
+            this.addPalette(palette, element);
+            handle.palette = palette;
+            if (onChange) onChange(palette);
+          }
+        }
+      }
+
+      schedule();
+    };
+
+    const observer = typeof IntersectionObserver !== 'undefined'
+      ? new IntersectionObserver(([entry]) => {
+          visible = entry.isIntersecting;
+          visible ? schedule() : pause();
+        })
+      : null;
+    observer?.observe(video);
+
+    const events = { play: schedule, playing: schedule, seeked: schedule, pause, ended: pause };
+    for (const [name, listener] of Object.entries(events)) {
+      video.addEventListener(name, listener);
+    }
+    const onVisibilityChange = () => document.hidden ? pause() : schedule();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    const handle = {
+      palette: null,
+      stop: () => {
+        stopped = true;
+        pause();
+        observer?.disconnect();
+        for (const [name, listener] of Object.entries(events)) {
+          video.removeEventListener(name, listener);
+        }
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+      }
+    };
+
+    // Take a first sample right away, e.g. for an autoplaying hero video
+    if (isActive()) sample();
+    return handle;
+  }
+
+  // Returns up to `count` perceptually distinct candidates, best score first.
+  // Candidates within `minDistance` (0-1, CIEDE2000) of a stronger swatch are merged into it.
+  extractSwatches(source, { count = 5, minDistance = 0.1, ...abortOptions } = {}) {
+    return this.abortable(abortOptions, signal => new Promise((resolve, reject) => {
+      if (!source) {
+        reject(new Error('Invalid image source'));
+        return;
+      }
+
+      const pixels = this.isPixelData(source)
+        ? Promise.resolve(source)
+        : this.loadSource(source, signal).then(drawable => {
+          this.throwIfAborted(signal);
+          return this.getImagePixels(drawable);
+        });
+
+      pixels.then(({ data, width, height }) => {
+        const { debugScores } = this.processPixels(data, width, height);
+        resolve(this.selectDistinctSwatches(debugScores, count, minDistance));
+      }).catch(reject);
+    }));
+  }
+
+  selectDistinctSwatches(debugScores, count, minDistance) {
+    const swatches = [];
+
+    for (const score of debugScores) {
+      const rgb = this.hexToRgb(score.color);
+      const duplicate = swatches.find(swatch =>
+        this.calculateColorDistance(swatch.rgb, rgb, 'CIEDE2000') < minDistance);
+
+      if (duplicate) {
+        duplicate.coverage += score.frequencyScore * 100;
+        continue;
+      }
+      if (swatches.length >= count) continue;
+
+      swatches.push({
+        color: score.color,
+        rgb,
+        coverage: score.frequencyScore * 100,
+        totalScore: score.totalScore,
+        proximityScore: score.proximityScore,
+        psychologyScore: score.psychologyScore,
+        frequencyScore: score.frequencyScore,
+        breakdown: score.breakdown,
+        family: this.findTertiaryFamily(rgb)
+      });
+    }
+
+    return swatches;
+  }
+
+  // Image processing
+  processImage(img) {
+    const { data, width, height } = this.getImagePixels(img);
+    return this.processPixels(data, width, height);
+  }
+
+  processPixels(pixels, width, height) {
+    return this.processAnalysis(this.analyzePixels(pixels, width, height));
+  }
+
+  processAnalysis(analysis) {
+    if (this.options.context === 'AUTO') {
+      analysis.detectedContext = this.detectContext(analysis.contextStats);
+    }
+
+    const viableColors = this.filterViableColors(analysis.colorFrequencies, analysis.totalPixels);
+    return { ...this.findBestColor(viableColors, this.resolveContext(analysis)), analysis };
+  }
+
+  // The context colors are scored against: with 'AUTO', the one detected in this analysis
+  resolveContext(analysis) {
+    return this.options.context === 'AUTO' ? analysis.detectedContext?.name ?? null : this.options.context;
+  }
+
+  // Palette application helpers
+  addPalette(palette, element = document.documentElement) {
+    const {
+      dominant,
       accent1,
       accent2,
       accent3,
@@ -459,24 +1725,37 @@ class ColorTheoryExtractor {
       foreColor,
       altForeColor,
       imageForeColor,
-      complementary,
-      analogous,
-      splitComplementary,
-      triadic,
       isLight,
       isDark,
       isExtreme,
       contrastRatios,
-      textArea
+      textArea,
+      roles,
+      tonalScale,
+      modes
     } = palette;
     
-    // Palette colors
-    element.style.setProperty('--theme-primary', dominant);
-    element.style.setProperty('--theme-accent-1', accent1);
-    element.style.setProperty('--theme-accent-2', accent2);
-    element.style.setProperty('--theme-accent-3', accent3);
-    element.style.setProperty('--theme-accent-4', accent4);
+    // Palette colors, with modes primary and accents come from the mode stylesheet
+    const styled = modes ? this.applyModes(modes, element) : false;
+    const colors = {
+      '--theme-primary': dominant,
+      '--theme-accent-1': accent1,
+      '--theme-accent-2': accent2,
+      '--theme-accent-3': accent3,
+      '--theme-accent-4': accent4
+    };
+    for (const [name, color] of Object.entries(colors)) {
+      if (styled) element.style.removeProperty(name);
+      else element.style.setProperty(name, color);
+    }
     element.style.setProperty('--theme-standard', standard);
+
+    // Tonal scale, e.g. --theme-primary-500
+    if (tonalScale) {
+      for (const [step, color] of Object.entries(tonalScale)) {
+        element.style.setProperty(`--theme-primary-${step}`, color);
+      }
+    }
     
     // Fore Colors
     element.style.setProperty('--theme-fore-color', foreColor);
@@ -495,14 +1774,27 @@ class ColorTheoryExtractor {
         }
     }
     
-    // Harmony colors
-    element.style.setProperty('--theme-complementary', complementary);
-    element.style.setProperty('--theme-analogous-1', analogous.color1);
-    element.style.setProperty('--theme-analogous-2', analogous.color2);
-    element.style.setProperty('--theme-split-1', splitComplementary.color1);
-    element.style.setProperty('--theme-split-2', splitComplementary.color2);
-    element.style.setProperty('--theme-triadic-1', triadic.color1);
-    element.style.setProperty('--theme-triadic-2', triadic.color2);
+    // Harmony colors, e.g. --theme-complementary, --theme-split-1
+    for (const { name, variable, single } of this.getHarmonies()) {
+      const harmony = palette[name];
+      if (!harmony) continue;
+      if (single) {
+        element.style.setProperty(`--theme-${variable}`, harmony);
+      } else {
+        Object.values(harmony).forEach((color, i) => element.style.setProperty(`--theme-${variable}-${i + 1}`, color));
+      }
+    }
+
+    // Named swatch roles
+    if (roles) {
+      for (const [role, swatch] of Object.entries(roles)) {
+        if (!swatch) continue;
+        const name = role.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+        element.style.setProperty(`--theme-${name}`, swatch.color);
+        element.style.setProperty(`--theme-${name}-title`, swatch.titleTextColor);
+        element.style.setProperty(`--theme-${name}-body`, swatch.bodyTextColor);
+      }
+    }
     
     // Contrast Meta
     element.style.setProperty('--theme-is-light', Number(isLight));
@@ -514,6 +1806,62 @@ class ColorTheoryExtractor {
     }
   }
 
+  // Mode variables cannot be set inline, so they go into a <style> scoped to the element.
+  // Without a document there is no stylesheet, and false keeps the colors inline.
+  applyModes(modes, element) {
+    if (typeof document === 'undefined') return false;
+
+    const scope = this.getModeScope(element);
+    let style = document.head.querySelector(`style[data-theme-scope="${scope.id}"]`);
+    if (!style) {
+      style = document.createElement('style');
+      style.dataset.themeScope = scope.id;
+      document.head.append(style);
+    }
+    style.textContent = this.getModeStyles(modes, scope.selector);
+    return true;
+  }
+
+  getModeScope(element) {
+    if (element === document.documentElement) {
+      return { id: 'root', selector: ':root' };
+    }
+
+    if (!element.dataset.themeScope) {
+      ColorTheoryExtractor.scopeCount = (ColorTheoryExtractor.scopeCount || 0) + 1;
+      element.dataset.themeScope = ColorTheoryExtractor.scopeCount;
+    }
+    return { id: element.dataset.themeScope, selector: `[data-theme-scope="${element.dataset.themeScope}"]` };
+  }
+
+  // The first mode applies unconditionally, each mode then overrides it under
+  // its media query or [data-theme] attribute (on the element or an ancestor)
+  getModeStyles(modes, selector) {
+    const rule = (ruleSelector, mode) => {
+      const declarations = Object.entries(mode).map(([token, color]) => {
+        const name = token.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`).replace(/(\d)$/, '-$1');
+        return `  --theme-${name}: ${color};`;
+      });
+      return `${ruleSelector} {\n${declarations.join('\n')}\n}`;
+    };
+
+    const names = Object.keys(modes);
+    const rules = [rule(selector, modes[names[0]])];
+
+    for (const name of names) {
+      if (this.options.modeSelector === 'DATA_THEME') {
+        const themed = selector === ':root'
+          ? `:root[data-theme="${name}"]`
+          : `${selector}[data-theme="${name}"], [data-theme="${name}"] ${selector}`;
+        rules.push(rule(themed, modes[name]));
+      } else {
+        rules.push(`@media (prefers-color-scheme: ${name}) {\n${rule(selector, modes[name])}\n}`);
+      }
+    }
+
+    return rules.join('\n');
+  }
+
   showPalette(palette, element) {
     const {debugScores} = palette;
     const block = (color, section, title) => {
@@ -537,108 +1885,333 @@ class ColorTheoryExtractor {
     element.append(block('--theme-accent-4'));
     element.append(block('--theme-standard'));
     
-    element.append(block('--theme-primary', 'complementary'));
-    element.append(block('--theme-complementary'));
-    
-    element.append(block('--theme-primary', 'analogous'));
-    element.append(block('--theme-analogous-1'));
-    element.append(block('--theme-analogous-2'));
+    for (const { name, variable, single } of this.getHarmonies()) {
+      if (!palette[name]) continue;
+      element.append(block('--theme-primary', variable));
+      if (single) {
+        element.append(block(`--theme-${variable}`));
+      } else {
+        Object.keys(palette[name]).forEach((key, i) => element.append(block(`--theme-${variable}-${i + 1}`)));
+      }
+    }
     
-    element.append(block('--theme-primary', 'split'));
-    element.append(block('--theme-split-1'));
-    element.append(block('--theme-split-2'));
+    if (palette.tonalScale) {
+      Object.keys(palette.tonalScale).forEach((step, i) => {
+        element.append(block(`--theme-primary-${step}`, i === 0 ? 'tonal scale' : null, step));
+      });
+    }
     
-    element.append(block('--theme-primary', 'triadic'));
-    element.append(block('--theme-triadic-1'));
-    element.append(block('--theme-triadic-2'));
+    if (palette.modes) {
+      element.append(block('--theme-background', 'mode (background, surface, text, on primary)'));
+      element.append(block('--theme-surface'));
+      element.append(block('--theme-text'));
+      element.append(block('--theme-on-primary'));
+    }
     
     element.append(block('--theme-fore-color', 'fore color, alt, & image'));
     element.append(block('--theme-alt-fore-color'));
     element.append(block('--theme-img-fore-color'));
+
+    if (palette.roles) {
+      Object.entries(palette.roles)
+        .filter(([, swatch]) => swatch)
+        .forEach(([role], i) => {
+          const name = role.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+          element.append(block(`--theme-${name}`, i === 0 ? 'roles' : null, role));
+        });
+    }
     
     if (this.options.debug && debugScores) {
       debugScores.forEach((score, i) => {
         element.append(block(
           `--score-${i}`,
           i === 0 ? '(Debugger: below threshold)' : null,
-          JSON.stringify(score)
+          this.describeScore(score)
         ));
         element.style.setProperty(`--score-${i}`, score.color);
       });
     }
   }
   
+  // One line per candidate, e.g. "#2563eb 0.612 = proximity 0.270 + psychology 0.280 + frequency 0.062 (20.6% coverage)"
+  describeScore({ color, totalScore, breakdown, hueFactor = 1, frequencyScore }) {
+    const terms = Object.entries(breakdown).map(([name, value]) => `${name} ${value.toFixed(3)}`).join(' + ');
+    const sum = hueFactor === 1 ? terms : `${hueFactor.toFixed(2)} × (${terms})`;
+    return `${color} ${totalScore.toFixed(3)} = ${sum} (${(frequencyScore * 100).toFixed(1)}% coverage)`;
+  }
+
   // Core color processing methods for the ColorTheoryExtractor class
 
-  analyzeImageColors(img) {
-    const canvas = document.createElement('canvas');
+  // Browser adapter: downscales the image on a canvas and reads back its pixels
+  // (an OffscreenCanvas when there is no document, e.g. inside the worker)
+  getImagePixels(img) {
+    const [sourceWidth, sourceHeight] = this.getSourceSize(img);
+    const scale = Math.min(1, this.options.maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const canvas = this.createCanvas(width, height);
     const ctx = canvas.getContext('2d');
     
-    const scale = Math.min(1, this.options.maxDimension / Math.max(img.width, img.height));
-    canvas.width = img.width * scale;
-    canvas.height = img.height * scale;
-    
     ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
+    try {
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    } catch (error) {
+      if (error?.name !== 'SecurityError') throw error;
+      const url = img.currentSrc || img.src || null;
+      throw new ColorTheoryLoadError('TAINTED_CANVAS', `Cross-origin image taints the canvas${url ? `: ${url}` : ''}`, { url, cause: error });
+    }
+  }
+
+  // Intrinsic size, <img> and <video> width/height are their layout size
+  getSourceSize(source) {
+    return [
+      source.naturalWidth || source.videoWidth || source.width,
+      source.naturalHeight || source.videoHeight || source.height
+    ];
+  }
+
+  createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  analyzeImageColors(img) {
+    const { data, width, height } = this.getImagePixels(img);
+    return this.analyzePixels(data, width, height);
+  }
 
+  // Buffers larger than maxDimension are sampled on a grid instead of being resized
+  // Spatial weighting can be turned off for buffers that are not images (e.g. gradient stops)
+  analyzePixels(pixels, width, height, useSpatialWeighting = true) {
+    const step = Math.max(1, Math.ceil(Math.max(width, height) / this.options.maxDimension));
     const colorFrequencies = new Map();
+    const histogram = new Map();
+    const useGrid = !this.options.quantizer || this.options.quantizer === 'GRID';
     let totalPixels = 0;
 
-    for (let i = 0; i < pixels.length; i += 4) {
-      const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
-      const [h, s, l] = this.rgbToHsl(r, g, b);
-      
-      // Apply all color filtering
-      if (!this.isValidColor(r, g, b, h, s, l)) continue;
+    // Swatch roles need dark, light and muted colors too, so they get their own unfiltered histogram
+    const roleFrequencies = this.options.swatchRoles ? new Map() : null;
+    // context: 'AUTO' classifies the whole image, so it samples before any filter
+    const contextStats = this.options.context === 'AUTO' ? this.createContextStats() : null;
+    const stats = { filterRejections: {}, hueRejections: {} };
+    const { alphaThreshold = 0, alphaWeighting, matteColor } = this.options;
+    const matte = matteColor ? this.hexToRgb(matteColor) : null;
+    let sampledPixels = 0;
+    let visiblePixels = 0;
+
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const i = (y * width + x) * 4;
+        sampledPixels++;
+        let [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+        const alpha = pixels[i + 3] / 255;
+        let coverage = 1;
+
+        if (matte) {
+          // Composite onto the matte, every pixel becomes fully visible
+          r = Math.round(r * alpha + matte[0] * (1 - alpha));
+          g = Math.round(g * alpha + matte[1] * (1 - alpha));
+          b = Math.round(b * alpha + matte[2] * (1 - alpha));
+        } else if (alpha < alphaThreshold || alpha === 0) {
+          stats.filterRejections.transparent = (stats.filterRejections.transparent || 0) + 1;
+          continue;
+        } else if (alphaWeighting) {
+          coverage = alpha;
+        }
+        visiblePixels++;
+
+        const weight = useSpatialWeighting ? coverage * this.getSpatialWeight(x, y, width, height) : coverage;
+        if (weight <= 0) {
+          stats.filterRejections.spatial = (stats.filterRejections.spatial || 0) + 1;
+          continue;
+        }
+        const [h, s, l] = this.rgbToHsl(r, g, b);
 
-      const key = this.quantizeColor(r, g, b);
-      colorFrequencies.set(key, (colorFrequencies.get(key) || 0) + 1);
-      totalPixels++;
+        if (contextStats) this.addContextSample(contextStats, r, g, b, h, s, l, weight);
+
+        if (roleFrequencies && l > 0.05 && l < 0.95) {
+          const key = this.quantizeColor(r, g, b);
+          roleFrequencies.set(key, (roleFrequencies.get(key) || 0) + weight);
+        }
+
+        // Apply all color filtering
+        if (!this.isValidColor(r, g, b, h, s, l, stats)) continue;
+
+        if (useGrid) {
+          const key = this.quantizeColor(r, g, b);
+          colorFrequencies.set(key, (colorFrequencies.get(key) || 0) + weight);
+        } else {
+          this.addToHistogram(histogram, r, g, b, weight);
+        }
+        totalPixels += weight;
+      }
     }
 
-    return { colorFrequencies, totalPixels };
+    // Clustering quantizers work on centroids, so each cluster's population becomes its frequency
+    if (!useGrid) {
+      for (const { rgb, population } of this.quantizePixels(this.histogramToSamples(histogram))) {
+        const key = this.rgbToHex(...rgb.map(v => Math.max(0, Math.min(255, Math.round(v)))));
+        colorFrequencies.set(key, (colorFrequencies.get(key) || 0) + population);
+      }
+    }
+
+    return { colorFrequencies, totalPixels, sampledPixels, visiblePixels, roleFrequencies, contextStats, ...stats };
   }
 
-  isValidColor(r, g, b, h, s, l) {
-    // Check tonal ranges
-    if (l < this.options.tintRange[0] || l > this.options.tintRange[1]) return false;
-    if (s < this.options.saturationRange[0] || s > this.options.saturationRange[1]) return false;
-    
-    // Check hue validity
-    if (!this.isValidHue(h)) return false;
-    
-    // Check for neutrals/skin tones
-    if (this.isNeutralColor(r, g, b)) return false;
-    if (this.isLikelySkinTone(r, g, b)) return false;
+  // How much a pixel counts towards its color's frequency (0-1), by its position
+  getSpatialWeight(x, y, width, height) {
+    const { mode = 'NONE', falloff = 0.5, edgeWidth = 0.15, focalPoint } = this.options.spatialWeighting || {};
+    const px = (x + 0.5) / width;
+    const py = (y + 0.5) / height;
+
+    switch (mode) {
+      case 'CENTER': {
+        // 0 at the center, 1 at the corners
+        const distance = Math.hypot(px - 0.5, py - 0.5) / Math.SQRT1_2;
+        return Math.exp(-(distance * distance) / (2 * falloff * falloff));
+      }
+      case 'EDGE': {
+        const border = Math.min(x, width - 1 - x, y, height - 1 - y) / Math.min(width, height);
+        return edgeWidth > 0 ? Math.min(1, border / edgeWidth) : 1;
+      }
+      case 'FOCAL': {
+        const { x: fx = 50, y: fy = 50, radius = 20 } = focalPoint || {};
+        const distance = Math.hypot(px * 100 - fx, py * 100 - fy);
+        if (distance <= radius) return 1;
+        const sigma = Math.max(radius / 2, 1);
+        return Math.exp(-Math.pow(distance - radius, 2) / (2 * sigma * sigma));
+      }
+      default:
+        return 1;
+    }
+  }
+
+  // The first filter to reject a pixel is counted in stats.filterRejections
+  isValidColor(r, g, b, h, s, l, stats = null) {
+    const pixel = { r, g, b, h, s, l };
+
+    for (const { name, test, params } of this.getFilterPipeline()) {
+      if (!test(pixel, params, this, stats)) {
+        if (stats) stats.filterRejections[name] = (stats.filterRejections[name] || 0) + 1;
+        return false;
+      }
+    }
 
     return true;
   }
 
-  isValidHue(h) {
+  // Resolves the filters option once per filters array
+  getFilterPipeline() {
+    const filters = this.options.filters || [];
+    if (this.filterSource === filters) return this.filterPipeline;
+
+    this.filterSource = filters;
+    this.filterPipeline = filters
+      .map(entry => typeof entry === 'string' ? { name: entry } : entry)
+      .filter(entry => entry.enabled !== false)
+      .map(({ name, params }) => {
+        const filter = PIXEL_FILTERS[name];
+        if (!filter) throw new Error(`Unknown pixel filter: ${name}`);
+        return { name, test: filter.test, params: { ...filter.params, ...params }, custom: filter.custom };
+      });
+    return this.filterPipeline;
+  }
+
+  static registerFilter(name, test, params = {}) {
+    if (typeof test !== 'function') {
+      throw new Error(`Filter ${name} needs a test function`);
+    }
+    PIXEL_FILTERS[name] = { test, params, custom: true };
+  }
+
+  // Hues inside a soft edge pass here and are penalized later in findBestColor
+  isValidHue(h, rejections = null) {
+    return this.getHueFactor(h, rejections) > 0;
+  }
+
+  // 1 = fully valid, 0 = rejected, in between = within softEdge of a boundary.
+  // Rejected hues are counted per range label in `rejections` when given.
+  getHueFactor(h, rejections = null) {
     const hueDegrees = h * 360;
-    const { mode, excludeRanges, includeRanges } = this.options.hueFiltering;
+    const { mode, excludeRanges, includeRanges, softEdge } = this.getHueFilter();
+    const reject = (label) => {
+      if (rejections) rejections[label] = (rejections[label] || 0) + 1;
+      return 0;
+    };
+
+    // Maps degrees inside a range (negative when outside) to 0-1
+    const inside = (depth) => softEdge > 0
+      ? Math.max(0, Math.min(1, (depth + softEdge) / (2 * softEdge)))
+      : (depth >= 0 ? 1 : 0);
+
+    let factor = 1;
 
     if (mode === 'EXCLUDE' || mode === 'BOTH') {
       for (const range of excludeRanges) {
-        if (hueDegrees >= range.min && hueDegrees <= range.max) {
-          return false;
-        }
+        factor = Math.min(factor, 1 - inside(this.getHueRangeDepth(hueDegrees, range)));
+        if (factor === 0) return reject(range.label);
       }
     }
 
     if (mode === 'INCLUDE' || mode === 'BOTH') {
-      let isIncluded = false;
+      let included = 0;
       for (const range of includeRanges) {
-        if (hueDegrees >= range.min && hueDegrees <= range.max) {
-          isIncluded = true;
-          break;
-        }
+        included = Math.max(included, inside(this.getHueRangeDepth(hueDegrees, range)));
       }
-      if (!isIncluded) return false;
+      if (included === 0) return reject('INCLUDE');
+      factor = Math.min(factor, included);
     }
 
-    return true;
+    return factor;
+  }
+
+  // Degrees a hue lies inside a range (positive) or outside it (negative)
+  getHueRangeDepth(hue, { min, max }) {
+    if (max - min >= 360) return 180;
+
+    const width = (max - min + 360) % 360;
+    const offset = (hue - min + 360) % 360;
+    if (offset <= width) return Math.min(offset, width - offset);
+    return -Math.min(offset - width, 360 - offset);
+  }
+
+  // Resolves named ranges once per hueFiltering object
+  getHueFilter() {
+    const hueFiltering = this.options.hueFiltering || {};
+    if (this.hueFilterSource === hueFiltering) return this.hueFilter;
+
+    const resolve = (range) => {
+      if (typeof range === 'string') {
+        const named = HUE_RANGES.INCLUDE[range.toUpperCase()];
+        if (!named) throw new Error(`Unknown hue range: ${range}`);
+        return { ...named, label: range.toUpperCase() };
+      }
+      const name = Object.keys(HUE_RANGES.INCLUDE).find(key => HUE_RANGES.INCLUDE[key] === range);
+      return { ...range, label: name || `${range.min}-${range.max}` };
+    };
+
+    this.hueFilterSource = hueFiltering;
+    this.hueFilter = {
+      mode: hueFiltering.mode || 'EXCLUDE',
+      excludeRanges: (hueFiltering.excludeRanges || []).map(resolve),
+      includeRanges: (hueFiltering.includeRanges || []).map(resolve),
+      softEdge: hueFiltering.softEdge || 0
+    };
+    return this.hueFilter;
+  }
+
+  static registerHueRange(name, { min, max }) {
+    if (typeof min !== 'number' || typeof max !== 'number') {
+      throw new Error(`Invalid hue range for ${name}`);
+    }
+    HUE_RANGES.INCLUDE[name.toUpperCase()] = { min, max };
   }
 
   filterViableColors(colorFrequencies, totalPixels) {
@@ -657,33 +2230,17 @@ class ColorTheoryExtractor {
     return viableColors;
   }
 
-  findBestColor(viableColors) {
+  findBestColor(viableColors, context = this.options.context) {
     let bestColor = null;
     let bestScore = -1;
     let debugScores = [];
 
     for (const [color, data] of viableColors.entries()) {
-      const proximityScore = this.calculateProximityScore(data.rgb);
-      const psychologyScore = this.calculatePsychologyScore(data.rgb);
-      const frequencyScore = data.frequency;
-
-      const totalScore = 
-        (proximityScore * this.options.proximityWeight) +
-        (psychologyScore * this.options.psychologyWeight) +
-        (frequencyScore * this.options.frequencyWeight);
-
-      debugScores.push({
-        color,
-        proximityScore,
-        psychologyScore,
-        frequencyScore,
-        totalScore,
-        breakdown: {
-          proximity: proximityScore * this.options.proximityWeight,
-          psychology: psychologyScore * this.options.psychologyWeight,
-          frequency: frequencyScore * this.options.frequencyWeight
-        }
-      });
+      // A candidate inside a hue range is dropped even though its pixels passed, e.g. a
+      // cluster centroid averaged from hues either side of an excluded range
+      const score = this.scoreColor(color, data.rgb, data.frequency, context);
+      if (score.hueFactor === 0) continue;
+      debugScores.push(score);
     }
 
     // Sort all scores descending
@@ -702,10 +2259,38 @@ class ColorTheoryExtractor {
     };
   }
 
+  scoreColor(color, rgb, frequency, context = this.options.context) {
+    const proximityScore = this.calculateProximityScore(rgb);
+    const psychologyScore = this.calculatePsychologyScore(rgb, context);
+    const frequencyScore = frequency;
+
+    // Candidates near a soft hue boundary are penalized rather than dropped
+    const hueFactor = this.getHueFactor(this.rgbToHsl(...rgb)[0]);
+
+    const totalScore = hueFactor * (
+      (proximityScore * this.options.proximityWeight) +
+      (psychologyScore * this.options.psychologyWeight) +
+      (frequencyScore * this.options.frequencyWeight));
+
+    return {
+      color,
+      proximityScore,
+      psychologyScore,
+      frequencyScore,
+      hueFactor,
+      totalScore,
+      breakdown: {
+        proximity: proximityScore * this.options.proximityWeight,
+        psychology: psychologyScore * this.options.psychologyWeight,
+        frequency: frequencyScore * this.options.frequencyWeight
+      }
+    };
+  }
+
   calculateProximityScore(rgb) {
     let bestProximity = 0;
     
-    for (const color of Object.values(TERTIARY_COLORS)) {
+    for (const color of Object.values(this.getTertiaryColors())) {
       const distance = this.calculateColorDistance(rgb, color.rgb);
       const proximity = 1 - distance;
       bestProximity = Math.max(bestProximity, proximity);
@@ -714,20 +2299,290 @@ class ColorTheoryExtractor {
     return bestProximity;
   }
 
-  calculatePsychologyScore(rgb) {
+  findTertiaryFamily(rgb) {
+    let family = null;
+    let bestDistance = Infinity;
+
+    for (const [name, color] of Object.entries(this.getTertiaryColors())) {
+      const distance = this.calculateColorDistance(rgb, color.rgb);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        family = name;
+      }
+    }
+
+    return family;
+  }
+
+  calculatePsychologyScore(rgb, context = this.options.context) {
     let bestScore = 0;
     
-    for (const [name, color] of Object.entries(TERTIARY_COLORS)) {
+    for (const [name, color] of Object.entries(this.getTertiaryColors())) {
       const distance = this.calculateColorDistance(rgb, color.rgb);
-      const contextWeight = COLOR_CONTEXTS[this.options.context]?.[name] || 1.0;
+      const contextWeight = this.getContextWeights(context)[name] ?? 1.0;
       const score = (1 - distance) * color.weight * contextWeight;
       bestScore = Math.max(bestScore, score);
     }
 
-    return bestScore;
+    return bestScore;
+  }
+
+  // Resolves a context (options.context by default), either a name or a blend like
+  // { TECH: 0.7, LUXURY: 0.3 }, into a weight per tertiary color. Unknown names warn and
+  // count as neutral (1.0).
+  getContextWeights(context = this.options.context) {
+    if (context === 'AUTO') context = null; // Nothing detected yet, see resolveContext()
+    if (this.contextWeights && this.contextSource === context) return this.contextWeights;
+
+    // Names are matched case-insensitively, registerContext() stores them in upper case
+    const blend = typeof context === 'string' ? { [context]: 1 } : (context || {});
+    const known = Object.entries(blend).map(([name, weight]) => [name.toUpperCase(), weight]).filter(([name]) => {
+      if (COLOR_CONTEXTS[name]) return true;
+      console.warn(`Unknown color context: ${name}. Register it with ColorTheoryExtractor.registerContext().`);
+      return false;
+    });
+    const totalWeight = known.reduce((sum, [, weight]) => sum + weight, 0);
+
+    // No context (or AUTO before detection, or only unknown names) weighs every color 1.0
+    const weights = {};
+    for (const name of Object.keys(TERTIARY_COLORS)) {
+      weights[name] = totalWeight > 0 ? known.reduce(
+        (sum, [context, weight]) => sum + weight * (COLOR_CONTEXTS[context][name] ?? 1.0), 0
+      ) / totalWeight : 1.0;
+    }
+
+    this.contextSource = context;
+    this.contextWeights = weights;
+    return weights;
+  }
+
+  // `profile` ({ temperature, saturation, lightness }, see CONTEXT_PROFILES) helps context: 'AUTO'
+  // recognize the context. Without it, AUTO only matches its hues.
+  static registerContext(name, weights, profile = null) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Context name must be a string');
+    }
+    for (const [feature, value] of Object.entries(profile || {})) {
+      if (!['temperature', 'saturation', 'lightness'].includes(feature) || typeof value !== 'number') {
+        throw new Error(`Invalid profile ${feature} for context ${name}: ${value}`);
+      }
+    }
+    for (const [color, weight] of Object.entries(weights || {})) {
+      if (!TERTIARY_COLORS[color]) {
+        throw new Error(`Unknown tertiary color in context ${name}: ${color}`);
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`Invalid weight for ${color} in context ${name}: ${weight}`);
+      }
+    }
+    COLOR_CONTEXTS[name.toUpperCase()] = { ...weights };
+    if (profile) CONTEXT_PROFILES[name.toUpperCase()] = { ...profile };
+  }
+
+  // Automatic context detection
+
+  createContextStats() {
+    return { weight: 0, chroma: 0, temperature: 0, saturation: 0, lightness: 0, families: {} };
+  }
+
+  // A pixel's hue is split between the two tertiary colors around it, weighted by
+  // chroma so grays carry no hue at all
+  addContextSample(stats, r, g, b, h, s, l, weight) {
+    stats.weight += weight;
+    stats.temperature += weight * (r - b) / 255;
+    stats.saturation += weight * s;
+    stats.lightness += weight * l;
+
+    const chroma = weight * s * (1 - Math.abs(2 * l - 1));
+    if (chroma <= 0) return;
+    stats.chroma += chroma;
+
+    const hue = h * 360;
+    const families = this.getTertiaryHues();
+    const next = Math.max(0, families.findIndex(family => family.hue > hue)); // Past the last one wraps to red
+    const from = families[(next - 1 + families.length) % families.length];
+    const to = families[next];
+    const span = (to.hue - from.hue + 360) % 360 || 360;
+    const t = ((hue - from.hue + 360) % 360) / span;
+    stats.families[from.name] = (stats.families[from.name] || 0) + chroma * (1 - t);
+    stats.families[to.name] = (stats.families[to.name] || 0) + chroma * t;
+  }
+
+  // Tertiary colors by their actual HSL hue (their `hue` field is a position on the
+  // 12-step wheel, not the hue of their rgb)
+  getTertiaryHues() {
+    const colors = this.getTertiaryColors();
+    if (this.tertiaryHueSource === colors) return this.tertiaryHues;
+
+    this.tertiaryHueSource = colors;
+    this.tertiaryHues = Object.entries(colors)
+      .map(([name, color]) => ({ name, hue: this.rgbToHsl(...color.rgb)[0] * 360 }))
+      .sort((a, b) => a.hue - b.hue);
+    return this.tertiaryHues;
+  }
+
+  // TERTIARY_COLORS as scored: with colorWheel 'RYB' each color's rgb is recomputed
+  // from its RYB `hue`, so e.g. green sits opposite red
+  getTertiaryColors() {
+    const wheel = this.options.colorWheel || 'RGB';
+    if (this.tertiarySource === wheel) return this.tertiaryColors;
+    if (wheel !== 'RGB' && wheel !== 'RYB') throw new Error(`Unknown color wheel: ${wheel}`);
+
+    this.tertiarySource = wheel;
+    this.tertiaryColors = wheel === 'RGB'
+      ? TERTIARY_COLORS
+      : Object.fromEntries(Object.entries(TERTIARY_COLORS).map(([name, color]) =>
+          [name, { ...color, rgb: this.hslToRgb(this.rybToRgbHue(color.hue) / 360, 1, 0.5) }]));
+    return this.tertiaryColors;
+  }
+
+  // Each context's hue affinity: how much of its weight lies above the neutral 1.0,
+  // scaled so its strongest color is 1
+  getContextProfile(name) {
+    const weights = COLOR_CONTEXTS[name];
+    const lifts = Object.entries(weights).map(([family, weight]) => [family, Math.max(0, weight - 1)]);
+    const base = lifts.some(([, lift]) => lift > 0) ? lifts : Object.entries(weights);
+    const max = Math.max(...base.map(([, value]) => value), 0) || 1;
+    const hues = Object.fromEntries(base.map(([family, value]) => [family, value / max]));
+
+    // Contexts registered without a temperature get the temperature of their own colors
+    const profile = { ...CONTEXT_PROFILES[name], hues };
+    if (profile.temperature === undefined) {
+      const total = Object.values(hues).reduce((sum, value) => sum + value, 0);
+      profile.temperature = total ? Object.entries(hues).reduce((sum, [family, value]) => {
+        const [r, , b] = TERTIARY_COLORS[family].rgb;
+        return sum + value * (r - b) / 255;
+      }, 0) / total : 0;
+    }
+    return profile;
+  }
+
+  // Scores every registered context against the image's hues, temperature, saturation and
+  // lightness. confidence (0-1) is the winner's share of a softmax over all scores.
+  detectContext(stats) {
+    if (!stats?.weight) return null;
+
+    const features = {
+      temperature: stats.temperature / stats.weight,
+      saturation: stats.saturation / stats.weight,
+      lightness: stats.lightness / stats.weight
+    };
+    const featureWeights = { hue: 0.5, temperature: 0.2, saturation: 0.15, lightness: 0.15 };
+
+    const scores = {};
+    for (const name of Object.keys(COLOR_CONTEXTS)) {
+      const profile = this.getContextProfile(name);
+      const hueMatch = stats.chroma ? Object.entries(profile.hues).reduce(
+        (sum, [family, affinity]) => sum + ((stats.families[family] || 0) / stats.chroma) * affinity, 0
+      ) : 0;
+
+      let score = hueMatch * featureWeights.hue;
+      let total = featureWeights.hue;
+      for (const feature of ['temperature', 'saturation', 'lightness']) {
+        if (profile[feature] === undefined) continue;
+        const range = feature === 'temperature' ? 2 : 1;
+        score += (1 - Math.abs(features[feature] - profile[feature]) / range) * featureWeights[feature];
+        total += featureWeights[feature];
+      }
+      scores[name] = score / total;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const sharpness = 20; // Score gaps are small, this spreads them over 0-1
+    const exponents = ranked.map(([, score]) => Math.exp((score - ranked[0][1]) * sharpness));
+    const confidence = 1 / exponents.reduce((sum, value) => sum + value, 0);
+
+    return { name: ranked[0][0], confidence, scores, features };
+  }
+
+  // Returns a 0-1 distance, normalized by the largest distance between two sRGB colors
+  calculateColorDistance(rgb1, rgb2, metric = this.options.distanceMetric) {
+    const maxDistance = DISTANCE_METRICS[metric];
+    if (maxDistance === undefined) {
+      throw new Error(`Unknown distance metric: ${metric}`);
+    }
+
+    let distance;
+    switch (metric) {
+      case 'CIEDE2000':
+        distance = this.calculateDeltaE2000(this.rgbToLab(...rgb1), this.rgbToLab(...rgb2));
+        break;
+      case 'CIE76':
+        distance = this.calculateEuclidean(this.rgbToLab(...rgb1), this.rgbToLab(...rgb2));
+        break;
+      case 'OKLAB':
+        distance = this.calculateEuclidean(this.rgbToOklab(...rgb1), this.rgbToOklab(...rgb2));
+        break;
+      default:
+        return this.calculateRedmeanDistance(rgb1, rgb2);
+    }
+
+    return Math.min(1, distance / maxDistance);
+  }
+
+  calculateEuclidean([x1, y1, z1], [x2, y2, z2]) {
+    return Math.sqrt(
+      Math.pow(x1 - x2, 2) +
+      Math.pow(y1 - y2, 2) +
+      Math.pow(z1 - z2, 2)
+    );
+  }
+
+  calculateDeltaE2000([L1, a1, b1], [L2, a2, b2]) {
+    const toRadians = deg => deg * Math.PI / 180;
+    const toDegrees = rad => rad * 180 / Math.PI;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const meanC = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = C1p === 0 ? 0 : (toDegrees(Math.atan2(b1, a1p)) + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (toDegrees(Math.atan2(b2, a2p)) + 360) % 360;
+
+    const deltaLp = L2 - L1;
+    const deltaCp = C2p - C1p;
+    let deltahp = 0;
+    if (C1p * C2p !== 0) {
+      deltahp = h2p - h1p;
+      if (deltahp > 180) deltahp -= 360;
+      else if (deltahp < -180) deltahp += 360;
+    }
+    const deltaHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(deltahp / 2));
+
+    const meanLp = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanhp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) meanhp /= 2;
+      else meanhp = h1p + h2p < 360 ? (meanhp + 360) / 2 : (meanhp - 360) / 2;
+    }
+
+    const T = 1 -
+      0.17 * Math.cos(toRadians(meanhp - 30)) +
+      0.24 * Math.cos(toRadians(2 * meanhp)) +
+      0.32 * Math.cos(toRadians(3 * meanhp + 6)) -
+      0.20 * Math.cos(toRadians(4 * meanhp - 63));
+    const deltaTheta = 30 * Math.exp(-Math.pow((meanhp - 275) / 25, 2));
+    const RC = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * Math.pow(meanLp - 50, 2)) / Math.sqrt(20 + Math.pow(meanLp - 50, 2));
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(toRadians(2 * deltaTheta)) * RC;
+
+    return Math.sqrt(
+      Math.pow(deltaLp / SL, 2) +
+      Math.pow(deltaCp / SC, 2) +
+      Math.pow(deltaHp / SH, 2) +
+      RT * (deltaCp / SC) * (deltaHp / SH)
+    );
   }
 
-  calculateColorDistance(rgb1, rgb2) {
+  calculateRedmeanDistance(rgb1, rgb2) {
     // Using a weighted Euclidean distance for better perceptual accuracy
     const [r1, g1, b1] = rgb1;
     const [r2, g2, b2] = rgb2;
@@ -757,15 +2612,29 @@ class ColorTheoryExtractor {
     return deviation < 0.2 && warmth > 0 && warmth < 0.5;
   }
 
-  isLikelySkinTone(r, g, b) {
-    // Basic skin tone detection
-    return (
-      r > 150 && r < 255 &&
-      g > 100 && g < 200 &&
-      b > 80 && b < 170 &&
-      r > g && g > b &&
-      (r - g) < 60
-    );
+  isLikelySkinTone(r, g, b, method = 'YCBCR') {
+    if (method === 'RGB') {
+      // Basic skin tone detection
+      return (
+        r > 150 && r < 255 &&
+        g > 100 && g < 200 &&
+        b > 80 && b < 170 &&
+        r > g && g > b &&
+        (r - g) < 60
+      );
+    }
+
+    // Skin chrominance clusters tightly in YCbCr regardless of how light or dark
+    // the skin is (Chai & Ngan), the HSV checks drop reds, oranges and near-black
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    if (cb < 77 || cb > 127 || cr < 133 || cr > 173) return false;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const value = max / 255;
+    const saturation = max === 0 ? 0 : (max - min) / max;
+    return r === max && r > b && value > 0.15 && saturation > 0.1 && saturation < 0.75;
   }
 
   validateAccessibility(palette) {
@@ -847,7 +2716,7 @@ class ColorTheoryExtractor {
   }
   // Color harmony generation methods for the ColorTheoryExtractor class
 
-  generatePalette(dominantColor, textArea = null) {
+  generatePalette(dominantColor, textArea = null, analysis = null) {
     if (!dominantColor) return null;
 
     const rgb = this.hexToRgb(dominantColor);
@@ -894,7 +2763,7 @@ class ColorTheoryExtractor {
       imageForeColor = this.determineTextColor(areaColors);
     }
 
-    return {
+    const palette = {
       // Original color
       dominant: dominantColor,
 
@@ -910,11 +2779,11 @@ class ColorTheoryExtractor {
       altForeColor,       // Alternative text color
       imageForeColor,
 
-      // Harmonies (using adjusted color if needed)
-      complementary: this.generateComplementary(adjustedH, adjustedS, adjustedL),
-      analogous: this.generateAnalogous(adjustedH, adjustedS, adjustedL),
-      splitComplementary: this.generateSplitComplementary(adjustedH, adjustedS, adjustedL),
-      triadic: this.generateTriadic(adjustedH, adjustedS, adjustedL),
+      // Harmonies (using adjusted color if needed), complementary, analogous...
+      ...this.generateHarmonies(adjustedH, adjustedS, adjustedL),
+
+      // 50 (lightest) to 950 (darkest)
+      tonalScale: this.generateTonalScale(rgb),
 
       // Meta information
       isLight: l > 0.5,
@@ -927,6 +2796,175 @@ class ColorTheoryExtractor {
       
       textArea // Include the analyzed area in the palette
     };
+
+    if (this.options.swatchRoles && analysis?.roleFrequencies) {
+      palette.roles = this.generateSwatchRoles(analysis.roleFrequencies);
+    }
+
+    if (this.options.modes) {
+      palette.modes = this.generateModes(palette);
+    }
+
+    return palette;
+  }
+
+  // Neutrals are tinted with the dominant hue, primary and accents are moved away
+  // from the mode's background until they reach minimumContrast against it
+  generateModes(palette) {
+    const [, chroma, hue] = this.rgbToOklch(...this.hexToRgb(palette.dominant));
+    const modes = {};
+
+    for (const name of this.options.modes) {
+      const tokens = THEME_MODES[name];
+      if (!tokens) throw new Error(`Unknown theme mode: ${name}`);
+
+      const mode = {};
+      for (const [token, target] of Object.entries(tokens)) {
+        const oklch = this.gamutMapOklch(target.lightness, Math.min(chroma, target.chroma), hue);
+        mode[token] = this.rgbToHex(...this.oklchToRgb(...oklch));
+      }
+
+      mode.primary = this.ensureContrast(palette.dominant, mode.background);
+      mode.onPrimary = this.calculateContrastRatio(mode.primary, '#FFFFFF') >= this.calculateContrastRatio(mode.primary, '#000000')
+        ? '#FFFFFF'
+        : '#000000';
+      for (const accent of ['accent1', 'accent2', 'accent3', 'accent4']) {
+        mode[accent] = this.ensureContrast(palette[accent], mode.background);
+      }
+
+      modes[name] = mode;
+    }
+
+    return modes;
+  }
+
+  // Steps OKLCH lightness away from the background, keeping hue and chroma
+  ensureContrast(color, background, minContrast = this.options.minimumContrast) {
+    const [L, C, h] = this.rgbToOklch(...this.hexToRgb(color));
+    const direction = this.rgbToOklch(...this.hexToRgb(background))[0] > 0.5 ? -1 : 1;
+    let adjusted = color;
+
+    for (let lightness = L; lightness >= 0 && lightness <= 1; lightness += direction * 0.01) {
+      adjusted = this.rgbToHex(...this.oklchToRgb(...this.gamutMapOklch(lightness, C, h)));
+      if (this.calculateContrastRatio(adjusted, background) >= minContrast) break;
+    }
+
+    return adjusted;
+  }
+
+  // Every step keeps the dominant color's OKLCH hue, so light and dark steps
+  // do not drift (e.g. blue towards purple) the way HSL steps do
+  generateTonalScale(rgb) {
+    const [, chroma, hue] = this.rgbToOklch(...rgb);
+    const scale = {};
+
+    for (const [step, target] of Object.entries(TONAL_STEPS)) {
+      const oklch = this.gamutMapOklch(target.lightness, chroma * target.chroma, hue);
+      scale[step] = this.rgbToHex(...this.oklchToRgb(...oklch));
+    }
+
+    return scale;
+  }
+
+  getSwatchTargets() {
+    const overrides = this.options.swatchTargets || {};
+    const targets = {};
+
+    for (const [role, target] of Object.entries(SWATCH_ROLES)) {
+      targets[role] = {
+        lightness: { ...target.lightness, ...overrides[role]?.lightness },
+        saturation: { ...target.saturation, ...overrides[role]?.saturation }
+      };
+    }
+
+    return targets;
+  }
+
+  // Each histogram color can fill at most one role, roles are filled in SWATCH_ROLES order
+  generateSwatchRoles(frequencies) {
+    const total = [...frequencies.values()].reduce((sum, count) => sum + count, 0);
+    const maxPopulation = Math.max(0, ...frequencies.values());
+    const candidates = [...frequencies.entries()].map(([color, count]) => {
+      const rgb = this.hexToRgb(color);
+      const [, s, l] = this.rgbToHsl(...rgb);
+      return { color, rgb, s, l, count };
+    });
+
+    const used = new Set();
+    const roles = {};
+
+    for (const [role, { lightness, saturation }] of Object.entries(this.getSwatchTargets())) {
+      let best = null;
+      let bestScore = -Infinity;
+
+      for (const candidate of candidates) {
+        if (used.has(candidate.color)) continue;
+        if (candidate.l < lightness.min || candidate.l > lightness.max) continue;
+        if (candidate.s < saturation.min || candidate.s > saturation.max) continue;
+
+        // Same weighting as Android's Palette: lightness matters most
+        const score =
+          0.24 * (1 - Math.abs(candidate.s - saturation.target)) +
+          0.52 * (1 - Math.abs(candidate.l - lightness.target)) +
+          0.24 * (candidate.count / maxPopulation);
+
+        if (score > bestScore) {
+          bestScore = score;
+          best = candidate;
+        }
+      }
+
+      if (!best) {
+        roles[role] = null;
+        continue;
+      }
+
+      used.add(best.color);
+      roles[role] = {
+        color: best.color,
+        population: best.count / total,
+        titleTextColor: this.getRoleTextColor(best.rgb, 3.0),
+        bodyTextColor: this.getRoleTextColor(best.rgb, 4.5)
+      };
+    }
+
+    return roles;
+  }
+
+  // Lightest-touch white or black text (lowest alpha) that still meets the contrast ratio
+  getRoleTextColor(background, minimumContrast) {
+    for (const fore of [[255, 255, 255], [0, 0, 0]]) {
+      const alpha = this.calculateMinimumAlpha(fore, background, minimumContrast);
+      if (alpha >= 0) {
+        // Rounded up, as rounding down could drop below the contrast ratio
+        return `rgba(${fore.join(',')},${(Math.ceil(alpha * 100) / 100).toFixed(2)})`;
+      }
+    }
+
+    // Neither meets the ratio, fall back to the stronger opaque option
+    const luminance = this.calculateRelativeLuminance(background);
+    return luminance > 0.179 ? 'rgba(0,0,0,1.00)' : 'rgba(255,255,255,1.00)';
+  }
+
+  calculateMinimumAlpha(fore, background, minimumContrast) {
+    const contrastAt = (alpha) => {
+      const blended = fore.map((v, i) => v * alpha + background[i] * (1 - alpha));
+      const l1 = this.calculateRelativeLuminance(blended);
+      const l2 = this.calculateRelativeLuminance(background);
+      return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    };
+
+    if (contrastAt(1) < minimumContrast) return -1;
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 10; i++) {
+      const alpha = (low + high) / 2;
+      if (contrastAt(alpha) < minimumContrast) low = alpha;
+      else high = alpha;
+    }
+
+    return high;
   }
   
   sampleAreaColors(area) {
@@ -1049,156 +3087,751 @@ class ColorTheoryExtractor {
     }
 }
 
+  getHarmonies() {
+    const harmonies = this.options.harmonies || [];
+    if (this.harmonySource === harmonies) return this.harmonyList;
+
+    this.harmonySource = harmonies;
+    this.harmonyList = harmonies
+      .map(entry => typeof entry === 'string' ? { name: entry } : entry)
+      .filter(entry => entry.enabled !== false)
+      .map(entry => this.resolveHarmony(entry));
+    return this.harmonyList;
+  }
+
+  // A harmonies entry as its registry entry, with params merged over the defaults
+  resolveHarmony({ name, params, strategy }) {
+    const harmony = HARMONIES[name];
+    if (!harmony) throw new Error(`Unknown harmony: ${name}`);
+    return { ...harmony, name, params: { ...harmony.params, ...params }, strategy };
+  }
+
+  static registerHarmony(name, colors, params = {}) {
+    if (typeof colors !== 'function') {
+      throw new Error(`Harmony ${name} needs a colors function`);
+    }
+    // Harmonies are spread into the palette, where they would replace these fields
+    if (PALETTE_FIELDS.includes(name)) {
+      throw new Error(`Harmony name ${name} is a palette field`);
+    }
+    const variable = name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    HARMONIES[name] = { variable, params, colors, custom: true };
+  }
+
+  // { complementary: '#hex', analogous: { color1, color2 }, ... } with h, s, l in 0-1.
+  // Hue offsets are applied on the colorWheel, then converted back to HSL.
+  generateHarmonies(h, s, l) {
+    return Object.fromEntries(this.getHarmonies()
+      .map(harmony => [harmony.name, this.generateHarmony(harmony, h, s, l)]));
+  }
+
+  // One resolved harmony (see resolveHarmony) as a hex string or { color1, color2, ... }
+  generateHarmony({ params, colors, single, strategy = this.options.harmonyStrategy }, h, s, l) {
+    const toHex = HARMONY_STRATEGIES[strategy];
+    if (!toHex) throw new Error(`Unknown harmony strategy: ${strategy}`);
+
+    const wheelHue = this.toWheelHue(h * 360);
+    const hexes = colors(params, { h, s, l }, this)
+      .map(color => toHex(this.fromWheelHue(wheelHue + color.hue), color, { h, s, l }, this));
+    return single
+      ? hexes[0]
+      : Object.fromEntries(hexes.map((hex, i) => [`color${i + 1}`, hex]));
+  }
+
+  // The original harmonies with their default params, whatever the harmonies option holds
   generateComplementary(h, s, l) {
-    const complementaryH = (h + 0.5) % 1;
-    return this.hslToHex(
-      complementaryH,
-      Math.max(s, this.options.harmonyPaletteSaturation),
-      this.options.harmonyPaletteLightness || l
-    );
+    return this.generateHarmony(this.resolveHarmony({ name: 'complementary' }), h, s, l);
+  }
+
+  generateAnalogous(h, s, l) {
+    return this.generateHarmony(this.resolveHarmony({ name: 'analogous' }), h, s, l);
+  }
+
+  generateSplitComplementary(h, s, l) {
+    return this.generateHarmony(this.resolveHarmony({ name: 'splitComplementary' }), h, s, l);
+  }
+
+  generateTriadic(h, s, l) {
+    return this.generateHarmony(this.resolveHarmony({ name: 'triadic' }), h, s, l);
+  }
+
+  // `count` hue offsets dealt round-robin over arms (offsets in degrees). Each further
+  // pass over the arms alternates spread degrees after and before them: +spread,
+  // -spread, +2 × spread...
+  harmonyArms(arms, count = arms.length, spread = 15) {
+    return Array.from({ length: count }, (_, i) => {
+      const pass = Math.floor(i / arms.length);
+      return { hue: arms[i % arms.length] + (pass % 2 ? 1 : -1) * spread * Math.ceil(pass / 2) };
+    });
+  }
+
+  // HSL hue (degrees) to a hue on the colorWheel, and back
+  toWheelHue(hue) {
+    return this.options.colorWheel === 'RYB' ? this.rgbToRybHue(hue) : ((hue % 360) + 360) % 360;
+  }
+
+  fromWheelHue(hue) {
+    return this.options.colorWheel === 'RYB' ? this.rybToRgbHue(hue) : ((hue % 360) + 360) % 360;
+  }
+
+  rybToRgbHue(hue) {
+    return this.mapHue(hue, 0, 1);
+  }
+
+  rgbToRybHue(hue) {
+    return this.mapHue(hue, 1, 0);
+  }
+
+  // Piecewise-linear lookup through RYB_HUE_STOPS, from column `from` to column `to`
+  mapHue(hue, from, to) {
+    hue = ((hue % 360) + 360) % 360;
+    const next = RYB_HUE_STOPS.findIndex(stop => stop[from] > hue);
+    const [a, b] = [RYB_HUE_STOPS[next - 1], RYB_HUE_STOPS[next]];
+    const t = (hue - a[from]) / (b[from] - a[from]);
+    return (a[to] + t * (b[to] - a[to])) % 360;
+  }
+
+  // Color adjustment and conversion utilities
+  adjustColor(rgb, { lightness = 0, saturation = 0 }) {
+    let [h, s, l] = this.rgbToHsl(...rgb);
+
+    // Adjust saturation (multiplicative for more natural feel)
+    if (saturation !== 0) {
+      s = Math.max(0, Math.min(1, s * (1 + saturation)));
+    }
+
+    // Adjust lightness (additive for predictable steps)
+    if (lightness !== 0) {
+      l = Math.max(0, Math.min(1, l + lightness));
+    }
+
+    return this.hslToHex(h, s, l);
+  }
+
+  // Color space conversion utilities
+  rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    
+    if (max === min) return [0, 0, l];
+    
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    
+    let h;
+    switch (max) {
+      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+      case g: h = (b - r) / d + 2; break;
+      default: h = (r - g) / d + 4;
+    }
+    
+    return [h / 6, s, l];
+  }
+
+  hslToRgb(h, s, l) {
+    let r, g, b;
+
+    if (s === 0) {
+      r = g = b = l;
+    } else {
+      const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1/6) return p + (q - p) * 6 * t;
+        if (t < 1/2) return q;
+        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+        return p;
+      };
+
+      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+      const p = 2 * l - q;
+      r = hue2rgb(p, q, h + 1/3);
+      g = hue2rgb(p, q, h);
+      b = hue2rgb(p, q, h - 1/3);
+    }
+
+    return [
+      Math.round(r * 255),
+      Math.round(g * 255),
+      Math.round(b * 255)
+    ];
+  }
+
+  rgbToHex(r, g, b) {
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  }
+
+  hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? [
+      parseInt(result[1], 16),
+      parseInt(result[2], 16),
+      parseInt(result[3], 16)
+    ] : null;
+  }
+
+  hslToHex(h, s, l) {
+    const rgb = this.hslToRgb(h, s, l);
+    return this.rgbToHex(...rgb);
+  }
+
+  // Perceptual color spaces (D65 white point)
+  srgbToLinear(value) {
+    value /= 255;
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  }
+
+  linearToSrgb(value) {
+    const srgb = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return srgb * 255;
+  }
+
+  clampRgb(rgb) {
+    return rgb.map(v => Math.max(0, Math.min(255, Math.round(v))));
+  }
+
+  rgbToXyz(r, g, b) {
+    const [lr, lg, lb] = [r, g, b].map(v => this.srgbToLinear(v));
+    return [
+      0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+      0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb,
+      0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb
+    ];
+  }
+
+  xyzToRgb(x, y, z) {
+    return this.clampRgb([
+      3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+      -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+      0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+    ].map(v => this.linearToSrgb(v)));
+  }
+
+  xyzToLab(x, y, z) {
+    const white = [0.95047, 1.0, 1.08883];
+    const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const [fx, fy, fz] = [x, y, z].map((v, i) => f(v / white[i]));
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  labToXyz(L, a, b) {
+    const white = [0.95047, 1.0, 1.08883];
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const finv = t => Math.pow(t, 3) > 216 / 24389 ? Math.pow(t, 3) : (116 * t - 16) / (24389 / 27);
+    return [finv(fx), finv(fy), finv(fz)].map((v, i) => v * white[i]);
+  }
+
+  rgbToLab(r, g, b) {
+    return this.xyzToLab(...this.rgbToXyz(r, g, b));
+  }
+
+  labToRgb(L, a, b) {
+    return this.xyzToRgb(...this.labToXyz(L, a, b));
+  }
+
+  rgbToOklab(r, g, b) {
+    const [lr, lg, lb] = [r, g, b].map(v => this.srgbToLinear(v));
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+  }
+
+  // Unclamped linear sRGB, values outside 0-1 are out of gamut
+  oklabToLinearRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  }
+
+  oklabToRgb(L, a, b) {
+    return this.clampRgb(this.oklabToLinearRgb(L, a, b).map(v => this.linearToSrgb(v)));
+  }
+
+  // OKLCH hue is in degrees (0-360)
+  oklabToOklch(L, a, b) {
+    const C = Math.hypot(a, b);
+    const h = C < 1e-6 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return [L, C, h];
+  }
+
+  oklchToOklab(L, C, h) {
+    const radians = h * Math.PI / 180;
+    return [L, C * Math.cos(radians), C * Math.sin(radians)];
+  }
+
+  rgbToOklch(r, g, b) {
+    return this.oklabToOklch(...this.rgbToOklab(r, g, b));
+  }
+
+  oklchToRgb(L, C, h) {
+    return this.oklabToRgb(...this.oklchToOklab(L, C, h));
+  }
+
+  // Lowers chroma until the color fits in sRGB, keeping lightness and hue
+  // (clamping channels instead would shift the hue)
+  gamutMapOklch(L, C, h) {
+    const inGamut = chroma => this.oklabToLinearRgb(...this.oklchToOklab(L, chroma, h))
+      .every(v => v >= -1e-4 && v <= 1 + 1e-4);
+    if (inGamut(C)) return [L, C, h];
+
+    let low = 0;
+    let high = C;
+    while (high - low > 1e-4) {
+      const mid = (low + high) / 2;
+      if (inGamut(mid)) low = mid;
+      else high = mid;
+    }
+    return [L, low, h];
+  }
+
+  quantizeColor(r, g, b) {
+    const levels = 16;
+    const step = 255 / (levels - 1);
+    const qr = Math.round(r / step) * step;
+    const qg = Math.round(g / step) * step;
+    const qb = Math.round(b / step) * step;
+    return `#${qr.toString(16).padStart(2, '0')}${qg.toString(16).padStart(2, '0')}${qb.toString(16).padStart(2, '0')}`;
+  }
+
+  // Quantization strategies
+  // Pixels are pre-binned into a 5-bit per channel histogram so clustering runs on
+  // at most 32768 weighted samples of the form [r, g, b, weight]
+  addToHistogram(histogram, r, g, b, weight) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const bin = histogram.get(key);
+    if (bin) {
+      bin[0] += r * weight;
+      bin[1] += g * weight;
+      bin[2] += b * weight;
+      bin[3] += weight;
+    } else {
+      histogram.set(key, [r * weight, g * weight, b * weight, weight]);
+    }
+  }
+
+  histogramToSamples(histogram) {
+    const samples = [];
+    for (const [r, g, b, weight] of histogram.values()) {
+      if (weight > 0) samples.push([r / weight, g / weight, b / weight, weight]);
+    }
+    return samples;
+  }
+
+  // Returns clusters of the form { rgb: [r, g, b], population }
+  quantizePixels(samples) {
+    const { quantizer, clusterCount } = this.options;
+    if (!samples.length) return [];
+
+    if (typeof quantizer === 'function') {
+      return quantizer(samples, this.options) || [];
+    }
+
+    switch (quantizer) {
+      case 'MEDIAN_CUT': return this.quantizeMedianCut(samples, clusterCount);
+      case 'KMEANS': return this.quantizeKMeans(samples, clusterCount, this.options.quantizerSeed);
+      case 'OCTREE': return this.quantizeOctree(samples, clusterCount);
+      default: throw new Error(`Unknown quantizer: ${quantizer}`);
+    }
   }
 
-  generateAnalogous(h) {
-    return {
-      color1: this.hslToHex(
-        (h + 1/12) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      ),
-      color2: this.hslToHex(
-        (h - 1/12 + 1) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      )
-    };
+  summarizeCluster(samples) {
+    let r = 0, g = 0, b = 0, population = 0;
+    for (const sample of samples) {
+      r += sample[0] * sample[3];
+      g += sample[1] * sample[3];
+      b += sample[2] * sample[3];
+      population += sample[3];
+    }
+    return { rgb: [r / population, g / population, b / population], population };
   }
 
-  generateSplitComplementary(h) {
-    return {
-      color1: this.hslToHex(
-        (h + 0.42) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      ),
-      color2: this.hslToHex(
-        (h + 0.58) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      )
+  quantizeMedianCut(samples, count) {
+    const channelRange = (box, channel) => {
+      let min = 255, max = 0;
+      for (const sample of box) {
+        min = Math.min(min, sample[channel]);
+        max = Math.max(max, sample[channel]);
+      }
+      return max - min;
     };
+
+    const boxes = [samples];
+    while (boxes.length < count) {
+      // Split the box with the widest channel range, weighted by its population
+      let target = -1;
+      let targetChannel = 0;
+      let targetSpread = 0;
+      boxes.forEach((box, index) => {
+        if (box.length < 2) return;
+        const population = box.reduce((sum, sample) => sum + sample[3], 0);
+        for (let channel = 0; channel < 3; channel++) {
+          const spread = channelRange(box, channel) * Math.sqrt(population);
+          if (spread > targetSpread) {
+            target = index;
+            targetChannel = channel;
+            targetSpread = spread;
+          }
+        }
+      });
+      if (target === -1) break;
+
+      const box = boxes[target].slice().sort((a, b) => a[targetChannel] - b[targetChannel]);
+      const half = box.reduce((sum, sample) => sum + sample[3], 0) / 2;
+      let split = 0;
+      for (let seen = 0; split < box.length - 1; split++) {
+        seen += box[split][3];
+        if (seen >= half) break;
+      }
+      boxes.splice(target, 1, box.slice(0, split + 1), box.slice(split + 1));
+    }
+
+    return boxes.filter(box => box.length).map(box => this.summarizeCluster(box));
   }
 
-  generateTriadic(h) {
-    return {
-      color1: this.hslToHex(
-        (h + 1/3) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      ),
-      color2: this.hslToHex(
-        (h + 2/3) % 1,
-        this.options.harmonyPaletteSaturation,
-        this.options.harmonyPaletteLightness
-      )
+  quantizeKMeans(samples, count, seed = 1) {
+    // Mulberry32, so results are reproducible for a given seed
+    let state = seed >>> 0;
+    const random = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const distance = (a, b) =>
+      Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2);
+
+    // k-means++ initialization, weighted by sample population
+    const pick = (weights) => {
+      const total = weights.reduce((sum, w) => sum + w, 0);
+      let threshold = random() * total;
+      for (let i = 0; i < weights.length; i++) {
+        threshold -= weights[i];
+        if (threshold <= 0) return i;
+      }
+      return weights.length - 1;
     };
+
+    const k = Math.min(count, samples.length);
+    const centroids = [samples[pick(samples.map(s => s[3]))].slice(0, 3)];
+    while (centroids.length < k) {
+      const weights = samples.map(s =>
+        s[3] * Math.min(...centroids.map(c => distance(s, c))));
+      if (!weights.some(w => w > 0)) break;
+      centroids.push(samples[pick(weights)].slice(0, 3));
+    }
+
+    const assignments = new Array(samples.length).fill(-1);
+    for (let iteration = 0; iteration < 20; iteration++) {
+      let changed = false;
+      samples.forEach((sample, i) => {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        centroids.forEach((centroid, c) => {
+          const d = distance(sample, centroid);
+          if (d < nearestDistance) {
+            nearest = c;
+            nearestDistance = d;
+          }
+        });
+        if (assignments[i] !== nearest) {
+          assignments[i] = nearest;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+
+      const sums = centroids.map(() => [0, 0, 0, 0]);
+      samples.forEach((sample, i) => {
+        const sum = sums[assignments[i]];
+        sum[0] += sample[0] * sample[3];
+        sum[1] += sample[1] * sample[3];
+        sum[2] += sample[2] * sample[3];
+        sum[3] += sample[3];
+      });
+      sums.forEach((sum, c) => {
+        if (sum[3] > 0) centroids[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+      });
+    }
+
+    const clusters = centroids.map(() => []);
+    samples.forEach((sample, i) => clusters[assignments[i]].push(sample));
+    return clusters.filter(cluster => cluster.length).map(cluster => this.summarizeCluster(cluster));
   }
 
-  // Color adjustment and conversion utilities
-  adjustColor(rgb, { lightness = 0, saturation = 0 }) {
-    let [h, s, l] = this.rgbToHsl(...rgb);
+  quantizeOctree(samples, count) {
+    const maxDepth = 5; // Matches the 5-bit histogram resolution
+    const levels = Array.from({ length: maxDepth }, () => []);
+    const createNode = (depth) => {
+      const node = { r: 0, g: 0, b: 0, population: 0, children: null, leaf: depth === maxDepth };
+      if (!node.leaf) {
+        node.children = new Array(8).fill(null);
+        levels[depth].push(node);
+      }
+      return node;
+    };
 
-    // Adjust saturation (multiplicative for more natural feel)
-    if (saturation !== 0) {
-      s = Math.max(0, Math.min(1, s * (1 + saturation)));
+    const root = createNode(0);
+    let leafCount = 0;
+    for (const [r, g, b, weight] of samples) {
+      let node = root;
+      for (let depth = 0; depth < maxDepth; depth++) {
+        const shift = 7 - depth;
+        const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+        if (!node.children[index]) {
+          node.children[index] = createNode(depth + 1);
+          if (node.children[index].leaf) leafCount++;
+        }
+        node = node.children[index];
+      }
+      node.r += r * weight;
+      node.g += g * weight;
+      node.b += b * weight;
+      node.population += weight;
     }
 
-    // Adjust lightness (additive for predictable steps)
-    if (lightness !== 0) {
-      l = Math.max(0, Math.min(1, l + lightness));
+    // Fold the least populated deepest nodes into their parents until we are under budget
+    const subtreePopulation = (node) => node.leaf
+      ? node.population
+      : node.children.reduce((sum, child) => sum + (child ? subtreePopulation(child) : 0), 0);
+
+    for (let depth = maxDepth - 1; depth >= 0 && leafCount > count; depth--) {
+      const reducible = levels[depth]
+        .filter(node => !node.leaf)
+        .sort((a, b) => subtreePopulation(a) - subtreePopulation(b));
+      for (const node of reducible) {
+        if (leafCount <= count) break;
+        let merged = 0;
+        for (const child of node.children) {
+          if (!child) continue;
+          node.r += child.r;
+          node.g += child.g;
+          node.b += child.b;
+          node.population += child.population;
+          merged++;
+        }
+        node.children = null;
+        node.leaf = true;
+        leafCount -= merged - 1;
+      }
     }
 
-    return this.hslToHex(h, s, l);
+    const clusters = [];
+    const collect = (node) => {
+      if (node.leaf) {
+        if (node.population > 0) {
+          clusters.push({
+            rgb: [node.r / node.population, node.g / node.population, node.b / node.population],
+            population: node.population
+          });
+        }
+        return;
+      }
+      node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+    return clusters;
   }
+}
 
-  // Color space conversion utilities
-  rgbToHsl(r, g, b) {
-    r /= 255;
-    g /= 255;
-    b /= 255;
-    
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    const l = (max + min) / 2;
-    
-    if (max === min) return [0, 0, l];
-    
-    const d = max - min;
-    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    
-    let h;
-    switch (max) {
-      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-      case g: h = (b - r) / d + 2; break;
-      default: h = (r - g) / d + 4;
+// Palettes cached by image URL and options, on top of a CACHE_BACKENDS storage
+class ColorTheoryCache {
+  static get(backend) {
+    if (!ColorTheoryCache.caches) ColorTheoryCache.caches = new Map();
+
+    let cache = ColorTheoryCache.caches.get(backend);
+    if (!cache) {
+      const storage = typeof backend === 'string' ? CACHE_BACKENDS[backend]?.() : backend;
+      if (!storage) throw new Error(`Unknown cache backend: ${backend}`);
+      cache = new ColorTheoryCache(storage);
+      ColorTheoryCache.caches.set(backend, cache);
     }
-    
-    return [h / 6, s, l];
+    return cache;
   }
 
-  hslToRgb(h, s, l) {
-    let r, g, b;
+  constructor(storage) {
+    this.storage = storage;
+  }
 
-    if (s === 0) {
-      r = g = b = l;
-    } else {
-      const hue2rgb = (p, q, t) => {
-        if (t < 0) t += 1;
-        if (t > 1) t -= 1;
-        if (t < 1/6) return p + (q - p) * 6 * t;
-        if (t < 1/2) return q;
-        if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-        return p;
-      };
+  get(key) {
+    return this.storage.get(key)
+      .then(entry => {
+        if (!entry) return null;
+        if (this.isExpired(entry)) {
+          this.storage.delete(key);
+          return null;
+        }
+        return entry.palette;
+      })
+      .catch(error => {
+        console.warn('Palette cache read failed:', error);
+        return null;
+      });
+  }
 
-      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-      const p = 2 * l - q;
-      r = hue2rgb(p, q, h + 1/3);
-      g = hue2rgb(p, q, h);
-      b = hue2rgb(p, q, h - 1/3);
+  set(key, palette, { cacheTtl, cacheMaxEntries }) {
+    const created = Date.now();
+    return this.storage.set({ key, palette, created, expires: cacheTtl ? created + cacheTtl : null })
+      .then(() => this.prune(cacheMaxEntries))
+      .catch(error => console.warn('Palette cache write failed:', error));
+  }
+
+  // Removes expired entries, then the oldest ones beyond maxEntries
+  prune(maxEntries) {
+    return this.storage.all().then(entries => {
+      const fresh = entries.filter(entry => !this.isExpired(entry)).sort((a, b) => b.created - a.created);
+      const stale = entries.filter(entry => this.isExpired(entry)).concat(fresh.slice(maxEntries));
+      return Promise.all(stale.map(entry => this.storage.delete(entry.key)));
+    });
+  }
+
+  isExpired(entry) {
+    return entry.expires !== null && entry.expires < Date.now();
+  }
+
+  clear() {
+    return this.storage.clear();
+  }
+}
+
+// Runs extraction jobs on a limited number of workers, queueing the rest
+class ColorTheoryWorkerPool {
+  static get(url, concurrency) {
+    if (!ColorTheoryWorkerPool.pools) ColorTheoryWorkerPool.pools = new Map();
+
+    let pool = ColorTheoryWorkerPool.pools.get(url);
+    if (!pool) {
+      pool = new ColorTheoryWorkerPool(url, concurrency);
+      ColorTheoryWorkerPool.pools.set(url, pool);
     }
+    pool.concurrency = concurrency;
+    return pool;
+  }
 
-    return [
-      Math.round(r * 255),
-      Math.round(g * 255),
-      Math.round(b * 255)
-    ];
+  constructor(url, concurrency = 2) {
+    this.url = url;
+    this.concurrency = concurrency;
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.disabled = false; // Set when the worker script cannot run at all
   }
 
-  rgbToHex(r, g, b) {
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  run(bitmap, options, task = 'palette', signal = null) {
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, bitmap, options, task, resolve, reject };
+      if (signal) {
+        const onAbort = () => this.cancel(job, signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        job.resolve = value => { signal.removeEventListener('abort', onAbort); resolve(value); };
+        job.reject = error => { signal.removeEventListener('abort', onAbort); reject(error); };
+      }
+      this.queue.push(job);
+      this.dispatch();
+    });
   }
 
-  hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? [
-      parseInt(result[1], 16),
-      parseInt(result[2], 16),
-      parseInt(result[3], 16)
-    ] : null;
+  // Drops a queued job, or terminates the worker processing it
+  cancel(job, reason) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      job.bitmap.close();
+    }
+
+    const worker = this.workers.find(w => w.job === job);
+    if (worker) {
+      worker.instance.terminate();
+      this.workers.splice(this.workers.indexOf(worker), 1);
+    }
+
+    job.reject(reason);
+    this.dispatch();
   }
 
-  hslToHex(h, s, l) {
-    const rgb = this.hslToRgb(h, s, l);
-    return this.rgbToHex(...rgb);
+  dispatch() {
+    while (this.queue.length) {
+      let worker = this.workers.find(w => !w.job);
+      if (!worker) {
+        if (this.workers.length >= this.concurrency) return;
+        try {
+          worker = this.createWorker();
+        } catch (error) {
+          // e.g. a SecurityError for a cross-origin workerUrl: no worker can start, so
+          // queued jobs fail over to the main thread
+          this.disabled = true;
+          this.queue.splice(0).forEach(queued => queued.reject(error));
+          return;
+        }
+      }
+
+      const job = this.queue.shift();
+      worker.job = job;
+      try {
+        worker.instance.postMessage(
+          // Contexts registered on this thread go along, the worker only has the built-in ones
+          { id: job.id, bitmap: job.bitmap, options: job.options, task: job.task, contexts: COLOR_CONTEXTS, profiles: CONTEXT_PROFILES },
+          [job.bitmap]
+        );
+      } catch (error) {
+        worker.job = null;
+        job.reject(error);
+      }
+    }
   }
 
-  quantizeColor(r, g, b) {
-    const levels = 16;
-    const step = 255 / (levels - 1);
-    const qr = Math.round(r / step) * step;
-    const qg = Math.round(g / step) * step;
-    const qb = Math.round(b / step) * step;
-    return `#${qr.toString(16).padStart(2, '0')}${qg.toString(16).padStart(2, '0')}${qb.toString(16).padStart(2, '0')}`;
+  createWorker() {
+    const worker = { instance: new Worker(this.url), job: null, succeeded: false };
+
+    worker.instance.onmessage = ({ data }) => {
+      const job = worker.job;
+      worker.job = null;
+      worker.succeeded = true;
+      if (job) {
+        data.error ? job.reject(new Error(data.error)) : job.resolve(data[job.task]);
+      }
+      this.dispatch();
+    };
+
+    worker.instance.onerror = (event) => {
+      const job = worker.job;
+      worker.instance.terminate();
+      this.workers.splice(this.workers.indexOf(worker), 1);
+      if (!worker.succeeded) this.disabled = true;
+      if (job) job.reject(new Error(event.message || 'Worker failed'));
+
+      // Remaining jobs fail over to the main thread once the pool is disabled
+      if (this.disabled) {
+        this.queue.splice(0).forEach(queued => queued.reject(new Error('Worker unavailable')));
+      } else {
+        this.dispatch();
+      }
+    };
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  terminate() {
+    this.workers.forEach(worker => worker.instance.terminate());
+    this.workers = [];
   }
 }
 
@@ -1318,9 +3951,14 @@ class ColorTheoryRotator {
    
     if (!preloadedData) {
       console.error('Image not preloaded:', currentImage.url);
-      return;
+      // Still the current image, so next() and previous() keep the rotation going
+      return true;
     }
 
+    // Only the latest image may apply its palette, so cancel one still extracting
+    this.extraction?.abort();
+    const extraction = this.extraction = new AbortController();
+
     try {
       const imageOptions = {
         ...this.options.colorExtractorOptions,
@@ -1328,7 +3966,9 @@ class ColorTheoryRotator {
       };
       
       const imageExtractor = new ColorTheoryExtractor(null, imageOptions);
-      const palette = await imageExtractor.extractPaletteFromImageUrl(currentImage.url);
+      const palette = await imageExtractor.extractPaletteFromImageUrl(currentImage.url, {
+        signal: extraction.signal
+      });
       
       document.documentElement.classList.add('palette-transition');
       if (this.options.backgroundTransition) {
@@ -1351,8 +3991,11 @@ class ColorTheoryRotator {
         this.currentIndex = (this.currentIndex + 1) % this.images.length;
       }
     } catch (error) {
+      // Superseded by a newer image, which takes over the rotation
+      if (error?.name === 'AbortError') return false;
       console.error('Error processing image:', error);
     }
+    return true;
   }
 
   startRotation() {
@@ -1389,8 +4032,8 @@ class ColorTheoryRotator {
   next() {
     this.stopRotation();
     this.currentIndex = (this.currentIndex + 1) % this.images.length;
-    this.processNextImage(true).then(() => {
-      if (this.options.enableRotation) {
+    this.processNextImage(true).then(current => {
+      if (current && this.options.enableRotation) {
         this.startRotation();
       }
     });
@@ -1400,14 +4043,441 @@ class ColorTheoryRotator {
   previous() {
     this.stopRotation();
     this.currentIndex = (this.currentIndex - 1 + this.images.length) % this.images.length;
-    this.processNextImage(true).then(() => {
-      if (this.options.enableRotation) {
+    this.processNextImage(true).then(current => {
+      if (current && this.options.enableRotation) {
         this.startRotation();
       }
     });
   }
 }
 
+// Sliders shown by ColorTheoryInspector, `index` picks one end of a range option
+const INSPECTOR_CONTROLS = [
+  { label: 'Psychology weight', key: 'psychologyWeight', min: 0, max: 1, step: 0.05 },
+  { label: 'Frequency weight', key: 'frequencyWeight', min: 0, max: 1, step: 0.05 },
+  { label: 'Proximity weight', key: 'proximityWeight', min: 0, max: 1, step: 0.05 },
+  { label: 'Min frequency', key: 'minFrequency', min: 0, max: 0.3, step: 0.005 },
+  { label: 'Tint min', key: 'tintRange', index: 0, min: 0, max: 1, step: 0.01 },
+  { label: 'Tint max', key: 'tintRange', index: 1, min: 0, max: 1, step: 0.01 },
+  { label: 'Saturation min', key: 'saturationRange', index: 0, min: 0, max: 1, step: 0.01 },
+  { label: 'Saturation max', key: 'saturationRange', index: 1, min: 0, max: 1, step: 0.01 }
+];
+
+// Lives in a shadow root, so the page's CSS neither styles nor breaks the panel
+const INSPECTOR_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+    width: 400px; max-height: calc(100vh - 32px); overflow: auto; box-sizing: border-box;
+    padding: 12px; border-radius: 8px; background: #1b1b1f; color: #e8e8ec;
+    font: 12px/1.4 system-ui, sans-serif; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+  }
+  header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px; font-weight: 600; }
+  button, select, textarea { font: inherit; color: inherit; background: #2c2c33; border: 1px solid #44444d; border-radius: 4px; }
+  button { padding: 2px 8px; cursor: pointer; }
+  .preview { position: relative; line-height: 0; background: #000; }
+  .preview canvas { width: 100%; image-rendering: pixelated; }
+  .preview canvas + canvas { position: absolute; inset: 0; }
+  .summary, .controls, .export { margin-top: 8px; }
+  .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; }
+  .controls label { display: grid; grid-template-columns: 110px 1fr 44px; gap: 6px; align-items: center; }
+  .controls output { text-align: right; font-variant-numeric: tabular-nums; }
+  table { width: 100%; margin-top: 8px; border-collapse: collapse; font-variant-numeric: tabular-nums; }
+  th, td { padding: 2px 4px; text-align: right; }
+  th:nth-child(-n+2), td:nth-child(-n+2) { text-align: left; }
+  tbody tr { cursor: pointer; }
+  tbody tr:hover, tr.selected { background: #2c2c33; }
+  tr.winner { font-weight: 600; }
+  tr.below { opacity: 0.5; }
+  textarea { width: 100%; box-sizing: border-box; margin-top: 6px; resize: vertical; }
+  .error { color: #ff8a80; }
+`;
+
+// Debug panel for one element: a heatmap of the pixels behind each candidate, the ranked
+// candidates, and live tuning of the scoring options. Every change re-runs extraction on
+// the already loaded pixels and applies the new palette.
+class ColorTheoryInspector {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      extractorOptions: {},                // Options the element is normally extracted with
+      applyTo: document.documentElement,   // Where tuned palettes are applied, null to only inspect
+      container: document.body,
+      ...options
+    };
+
+    // Tuning starts from the explicit options: passed ones and the element's data attributes
+    // (resolved, so a lone data-shade still has the other end of its range)
+    const initial = new ColorTheoryExtractor(element, this.options.extractorOptions);
+    const attributes = Object.keys(initial.getAttributeConfiguration(element))
+      .map(key => [key, initial.options[key]]);
+    this.baseOptions = { ...this.options.extractorOptions, ...Object.fromEntries(attributes) };
+    this.tuned = {};
+    this.selected = null; // Candidate highlighted in the heatmap
+    this.pinned = false;
+
+    this.render();
+    this.ready = this.load().catch(error => this.showError(error));
+  }
+
+  load() {
+    const extractor = new ColorTheoryExtractor(null, this.baseOptions);
+    return this.loadDrawable(extractor)
+      .then(drawable => extractor.getImagePixels(drawable))
+      .catch(error => {
+        // Same retry as extractPalette: an <img> loaded without CORS is loaded again through the loader
+        if (error?.type !== 'TAINTED_CANVAS' || !this.element.src) throw error;
+        return extractor.loadImage(this.element.currentSrc || this.element.src)
+          .then(img => extractor.getImagePixels(img));
+      })
+      .then(pixels => {
+        this.pixels = pixels;
+        this.drawPreview();
+        this.run();
+      });
+  }
+
+  loadDrawable(extractor) {
+    if (extractor.isDrawableElement(this.element)) {
+      return extractor.loadSource(this.element);
+    }
+
+    const image = extractor.parseBackgroundImage(window.getComputedStyle(this.element).backgroundImage)
+      .find(layer => layer.type === 'image');
+    return image
+      ? extractor.loadImage(image.url)
+      : Promise.reject(new Error('The inspector needs an image or a CSS background image'));
+  }
+
+  run() {
+    this.extractor = new ColorTheoryExtractor(null, { ...this.baseOptions, ...this.tuned, color: null, explain: true });
+    // The scheme preset replaces both ranges, a range moved on a slider is put back over it
+    for (const key of ['tintRange', 'saturationRange']) {
+      if (this.tuned[key]) this.extractor.options[key] = this.tuned[key];
+    }
+    this.palette = this.extractor.extractPaletteFromPixels(this.pixels);
+    this.owners = this.classifyPixels();
+
+    if (this.options.applyTo) {
+      this.extractor.addPalette(this.palette, this.options.applyTo);
+    }
+
+    this.updateControls();
+    this.renderSummary();
+    this.renderTable();
+    this.drawHeatmap();
+  }
+
+  // Slider input fires faster than extraction runs, so runs are batched per frame
+  scheduleRun() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.run();
+    });
+  }
+
+  tune(key, value, index) {
+    if (key === 'scheme') {
+      // A new scheme starts from its own preset ranges
+      delete this.tuned.tintRange;
+      delete this.tuned.saturationRange;
+    }
+    if (index === undefined) {
+      this.tuned[key] = value;
+    } else {
+      const range = [...this.extractor.options[key]];
+      range[index] = value;
+      this.tuned[key] = range;
+    }
+    this.scheduleRun();
+  }
+
+  // The candidate index each pixel went to, -1 when transparent, -2 when filtered out.
+  // Mirrors analyzePixels(), the pixels are already downscaled to maxDimension.
+  classifyPixels() {
+    const { data, width, height } = this.pixels;
+    const extractor = this.extractor;
+    const { alphaThreshold = 0, matteColor, quantizer } = extractor.options;
+    const matte = matteColor ? extractor.hexToRgb(matteColor) : null;
+    const useGrid = !quantizer || quantizer === 'GRID';
+    const pipeline = extractor.getFilterPipeline();
+
+    const candidates = this.palette.explain.candidates;
+    const indexes = new Map(candidates.map((candidate, i) => [candidate.color, i]));
+    const centroids = candidates.map(candidate => extractor.hexToRgb(candidate.color));
+    const nearest = (rgb) => {
+      let best = -2;
+      let bestDistance = Infinity;
+      centroids.forEach((centroid, i) => {
+        const distance = extractor.calculateRedmeanDistance(rgb, centroid);
+        if (distance < bestDistance) [best, bestDistance] = [i, distance];
+      });
+      return best;
+    };
+
+    const owners = new Int32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        let [r, g, b] = [data[p * 4], data[p * 4 + 1], data[p * 4 + 2]];
+        const alpha = data[p * 4 + 3] / 255;
+
+        if (matte) {
+          r = Math.round(r * alpha + matte[0] * (1 - alpha));
+          g = Math.round(g * alpha + matte[1] * (1 - alpha));
+          b = Math.round(b * alpha + matte[2] * (1 - alpha));
+        } else if (alpha < alphaThreshold || alpha === 0) {
+          owners[p] = -1;
+          continue;
+        }
+
+        const [h, s, l] = extractor.rgbToHsl(r, g, b);
+        const pixel = { r, g, b, h, s, l };
+        if (extractor.getSpatialWeight(x, y, width, height) <= 0 ||
+            pipeline.some(({ test, params }) => !test(pixel, params, extractor, null))) {
+          owners[p] = -2;
+          continue;
+        }
+
+        owners[p] = useGrid ? indexes.get(extractor.quantizeColor(r, g, b)) ?? -2 : nearest([r, g, b]);
+      }
+    }
+    return owners;
+  }
+
+  // Export
+
+  getTunedOptions() {
+    const keys = ['context', 'scheme', ...new Set(INSPECTOR_CONTROLS.map(control => control.key))];
+    return Object.fromEntries(keys.map(key => [key, this.extractor.options[key]]));
+  }
+
+  toJSON() {
+    return JSON.stringify(this.getTunedOptions(), null, 2);
+  }
+
+  // Attributes read by getAttributeConfiguration(), e.g. data-context="tech:0.7,luxury:0.3"
+  toAttributes() {
+    const options = this.getTunedOptions();
+    const attributes = {
+      'context': this.formatContext(options.context)?.toLowerCase(),
+      'scheme': options.scheme?.toLowerCase(),
+      'weight': options.psychologyWeight,
+      'frequency-weight': options.frequencyWeight,
+      'proximity-weight': options.proximityWeight,
+      'frequency': options.minFrequency,
+      'shade': options.tintRange[0],
+      'tint': options.tintRange[1],
+      'desat': options.saturationRange[0],
+      'sat': options.saturationRange[1]
+    };
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `data-${name}="${value}"`)
+      .join(' ');
+  }
+
+  // A context name, a blend as "TECH:0.7,LUXURY:0.3", or null when none is set
+  formatContext(context) {
+    if (typeof context === 'string') return context;
+    return context && typeof context === 'object'
+      ? Object.entries(context).map(([name, weight]) => `${name}:${weight}`).join(',')
+      : null;
+  }
+
+  copy(text) {
+    // The text stays selected in the box, to copy by hand where the clipboard API is blocked
+    this.output.value = text;
+    this.output.select();
+    navigator.clipboard?.writeText(text).catch(() => {});
+  }
+
+  // Rendering
+
+  render() {
+    this.host = document.createElement('div');
+    const root = this.host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${INSPECTOR_STYLES}</style>
+      <div class="panel">
+        <header>Color Theory Inspector <button class="close" title="Close">×</button></header>
+        <div class="preview"><canvas></canvas><canvas></canvas></div>
+        <div class="summary">Loading…</div>
+        <div class="controls">
+          <label>Context <select class="context"></select><span></span></label>
+          <label>Scheme <select class="scheme"></select><span></span></label>
+        </div>
+        <table>
+          <thead><tr><th>#</th><th>Color</th><th>Cover</th><th>Prox</th><th>Psych</th><th>Freq</th><th>Hue</th><th>Total</th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <div class="export">
+          <button class="json">Copy JSON</button>
+          <button class="attributes">Copy data-* attributes</button>
+          <textarea rows="4" readonly></textarea>
+        </div>
+      </div>`;
+
+    [this.preview, this.heatmap] = root.querySelectorAll('canvas');
+    this.summary = root.querySelector('.summary');
+    this.table = root.querySelector('tbody');
+    this.output = root.querySelector('textarea');
+
+    const contexts = root.querySelector('.context');
+    const schemes = root.querySelector('.scheme');
+    contexts.append(...['AUTO', ...Object.keys(COLOR_CONTEXTS)].map(name => new Option(name, name)));
+    schemes.append(...Object.keys(SCHEME_PRESETS).map(name => new Option(name, name)));
+    contexts.addEventListener('change', () => this.tune('context', this.contextValues.has(contexts.value)
+      ? this.contextValues.get(contexts.value)
+      : contexts.value));
+    schemes.addEventListener('change', () => this.tune('scheme', schemes.value));
+    this.contextSelect = contexts;
+    this.schemeSelect = schemes;
+    this.contextValues = new Map(); // Blends and a null context have no name, their option maps back to the value
+
+    const controls = root.querySelector('.controls');
+    this.sliders = INSPECTOR_CONTROLS.map(control => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      const output = document.createElement('output');
+      Object.assign(input, { type: 'range', min: control.min, max: control.max, step: control.step });
+      input.addEventListener('input', () => this.tune(control.key, Number(input.value), control.index));
+      label.append(control.label, input, output);
+      controls.append(label);
+      return { control, input, output };
+    });
+
+    root.querySelector('.close').addEventListener('click', () => this.destroy());
+    root.querySelector('.json').addEventListener('click', () => this.copy(this.toJSON()));
+    root.querySelector('.attributes').addEventListener('click', () => this.copy(this.toAttributes()));
+    this.table.addEventListener('mouseleave', () => {
+      if (!this.pinned) this.highlight(null);
+    });
+
+    this.options.container.append(this.host);
+  }
+
+  updateControls() {
+    const { options } = this.extractor;
+    for (const { control, input, output } of this.sliders) {
+      const value = control.index === undefined ? options[control.key] : options[control.key][control.index];
+      input.value = value;
+      output.value = Number(value).toFixed(control.step < 0.01 ? 3 : 2);
+    }
+
+    const context = this.formatContext(options.context) ?? '';
+    if (![...this.contextSelect.options].some(option => option.value === context)) {
+      this.contextSelect.append(new Option(context || 'none', context));
+      this.contextValues.set(context, options.context);
+    }
+    this.contextSelect.value = context;
+    this.schemeSelect.value = options.scheme;
+  }
+
+  renderSummary() {
+    const { path, color, margin, totalPixels, acceptedPixels, rejections } = this.palette.explain;
+    const detected = this.palette.detectedContext;
+    const removed = Object.entries(rejections)
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${reason} ${(count / totalPixels * 100).toFixed(1)}%`)
+      .join(', ');
+
+    // Context names, filter reasons and the color option can come from user code, so
+    // only the static markup goes through innerHTML
+    this.summary.innerHTML = `
+      <span class="swatch"></span> <b></b> via ${path}
+      ${margin !== null ? ` · margin ${margin.toFixed(3)}` : ''}<span class="context"></span><br>
+      ${acceptedPixels} of ${totalPixels} pixels accepted<span class="removed"></span>`;
+    this.summary.querySelector('.swatch').style.background = color;
+    this.summary.querySelector('b').textContent = color;
+    if (detected) {
+      this.summary.querySelector('.context').textContent =
+        ` · ${detected.name} (${Math.round(detected.confidence * 100)}% confident)`;
+    }
+    if (removed) this.summary.querySelector('.removed').textContent = ` · removed: ${removed}`;
+  }
+
+  renderTable() {
+    const { candidates, winner } = this.palette.explain;
+    const limit = 50; // The GRID histogram can hold hundreds of colors
+    this.table.replaceChildren(...candidates.slice(0, limit).map((candidate, i) => {
+      const row = document.createElement('tr');
+      row.className = candidate === winner ? 'winner' : candidate.viable ? '' : 'below';
+      row.title = candidate.viable
+        ? this.extractor.describeScore(candidate)
+        : `Below minFrequency: ${this.extractor.describeScore(candidate)}`;
+      row.innerHTML = `
+        <td>${i + 1}</td>
+        <td><span class="swatch" style="background: ${candidate.color}"></span> ${candidate.color}</td>
+        <td>${candidate.coverage.toFixed(1)}%</td>
+        <td>${candidate.proximityScore.toFixed(2)}</td>
+        <td>${candidate.psychologyScore.toFixed(2)}</td>
+        <td>${candidate.frequencyScore.toFixed(2)}</td>
+        <td>${candidate.hueFactor.toFixed(2)}</td>
+        <td>${candidate.totalScore.toFixed(3)}</td>`;
+      row.addEventListener('mouseenter', () => {
+        if (!this.pinned) this.highlight(i);
+      });
+      row.addEventListener('click', () => {
+        this.pinned = !(this.pinned && this.selected === i);
+        this.highlight(this.pinned ? i : null);
+      });
+      return row;
+    }));
+
+    // Indexes shift between runs, so a highlight does not carry over
+    this.pinned = false;
+    this.selected = null;
+  }
+
+  highlight(index) {
+    this.selected = index;
+    [...this.table.rows].forEach((row, i) => row.classList.toggle('selected', i === index));
+    this.drawHeatmap();
+  }
+
+  drawPreview() {
+    const { width, height } = this.pixels;
+    for (const canvas of [this.preview, this.heatmap]) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    this.preview.getContext('2d').putImageData(this.pixels, 0, 0);
+  }
+
+  // Without a highlight every pixel takes its candidate's color and filtered pixels are
+  // dimmed. With one, only that candidate's pixels show through.
+  drawHeatmap() {
+    const { width, height } = this.pixels;
+    const overlay = new ImageData(width, height);
+    const colors = this.palette.explain.candidates.map(candidate => this.extractor.hexToRgb(candidate.color));
+
+    this.owners.forEach((owner, p) => {
+      if (this.selected !== null) {
+        if (owner !== this.selected) overlay.data[p * 4 + 3] = 200;
+      } else if (owner >= 0) {
+        overlay.data.set(colors[owner], p * 4);
+        overlay.data[p * 4 + 3] = 230;
+      } else if (owner === -2) {
+        overlay.data[p * 4 + 3] = 200;
+      }
+    });
+
+    this.heatmap.getContext('2d').putImageData(overlay, 0, 0);
+  }
+
+  showError(error) {
+    this.summary.className = 'summary error';
+    this.summary.textContent = error.message;
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.frame);
+    this.host.remove();
+  }
+}
+
 // Usage example:
 function initializeColorRotation() {
   debugger;
@@ -1536,10 +4606,12 @@ function initializeColorRotation() {
   return rotator;
 }
 
-// Initialize on page load
-document.addEventListener('DOMContentLoaded', () => {
-  const rotator = initializeColorRotation();
-});
+// Initialize on page load (the extraction core also runs without a DOM, e.g. in Node)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    const rotator = initializeColorRotation();
+  });
+}
 
 
 /**
@@ -1773,4 +4845,52 @@ const batchProcessingExample = () => {
 
 
 // Run a batch on this page
-batchProcessingExample();
+if (typeof document !== 'undefined') {
+  batchProcessingExample();
+}
+
+// Worker entry point: with useWorker, this same script runs off the main thread
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = ({ data: { id, bitmap, options, task = 'palette', contexts, profiles } }) => {
+    try {
+      Object.assign(COLOR_CONTEXTS, contexts);
+      Object.assign(CONTEXT_PROFILES, profiles);
+      const extractor = new ColorTheoryExtractor(null, options);
+      const pixels = extractor.getImagePixels(bitmap);
+      bitmap.close();
+      const result = task === 'analysis'
+        ? extractor.analyzePixels(pixels.data, pixels.width, pixels.height)
+        : extractor.extractPaletteFromPixels(pixels);
+      self.postMessage({ id, [task]: result });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ColorTheoryExtractor,
+    ColorTheoryRotator,
+    ColorTheoryWorkerPool,
+    ColorTheoryInspector,
+    ColorTheoryCache,
+    ColorTheoryLoadError,
+    TERTIARY_COLORS,
+    COLOR_CONTEXTS,
+    CONTEXT_PROFILES,
+    SCHEME_PRESETS,
+    SWATCH_ROLES,
+    TONAL_STEPS,
+    THEME_MODES,
+    HARMONIES,
+    HARMONY_STRATEGIES,
+    RYB_HUE_STOPS,
+    HUE_RANGES,
+    PIXEL_FILTERS,
+    COLORBLIND_MATRICES,
+    DISTANCE_METRICS,
+    IMAGE_LOADERS,
+    CACHE_BACKENDS
+  };
+}
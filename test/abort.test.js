@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryRotator, ColorTheoryWorkerPool } = require('../color-theory.js');
+
+// Loads that never finish, recording the signal each one was given
+const hangingLoads = (t, extractor) => {
+  const signals = [];
+  t.mock.method(extractor, 'loadImage', (url, signal) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  });
+  return signals;
+};
+
+test('an already aborted signal rejects before loading', async (t) => {
+  const extractor = new ColorTheoryExtractor(null);
+  const signals = hangingLoads(t, extractor);
+
+  await assert.rejects(extractor.extractPaletteFromImageUrl('hero.jpg', { signal: AbortSignal.abort() }),
+    { name: 'AbortError' });
+  assert.equal(signals.length, 0);
+});
+
+test('aborting rejects right away and aborts the load', async (t) => {
+  const extractor = new ColorTheoryExtractor(null);
+  const signals = hangingLoads(t, extractor);
+  const controller = new AbortController();
+
+  const pending = extractor.extractPaletteFromImageUrl('hero.jpg', { signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+  assert.equal(signals[0].aborted, true);
+});
+
+test('timeout rejects with a TimeoutError', async (t) => {
+  const extractor = new ColorTheoryExtractor(null);
+  const signals = hangingLoads(t, extractor);
+
+  await assert.rejects(extractor.extractPaletteFromImageUrl('hero.jpg', { timeout: 10 }), { name: 'TimeoutError' });
+  assert.equal(signals[0].reason.name, 'TimeoutError');
+});
+
+test('an aborted worker job leaves the queue and frees its bitmap', async () => {
+  // No workers may start, so the job stays queued
+  const pool = new ColorTheoryWorkerPool('abort-worker.js', 0);
+  const controller = new AbortController();
+  let closed = false;
+
+  const pending = pool.run({ close: () => { closed = true; } }, {}, 'palette', controller.signal);
+  assert.equal(pool.queue.length, 1);
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+  assert.equal(pool.queue.length, 0);
+  assert.equal(closed, true);
+});
+
+test('the rotator cancels a stale extraction so only the latest image applies', async (t) => {
+  globalThis.document = { documentElement: { classList: { add() {}, remove() {} } } };
+  t.after(() => delete globalThis.document);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const extractions = [];
+  t.mock.method(ColorTheoryExtractor.prototype, 'extractPaletteFromImageUrl', function (url, { signal }) {
+    return new Promise((resolve, reject) => {
+      extractions.push({ url, signal, resolve: () => resolve(this.generatePalette('#2563EB')) });
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  });
+  const applied = [];
+  t.mock.method(ColorTheoryExtractor.prototype, 'addPalette', palette => applied.push(palette));
+
+  const rotator = Object.assign(Object.create(ColorTheoryRotator.prototype), {
+    images: [{ url: 'one.jpg' }, { url: 'two.jpg' }],
+    currentIndex: 0,
+    preloadedImages: new Map([['one.jpg', {}], ['two.jpg', {}]]),
+    options: { colorExtractorOptions: {}, backgroundTransition: false, fadeTime: 0 },
+    backgroundElement: { style: {}, classList: { add() {}, remove() {} } }
+  });
+
+  const first = rotator.processNextImage(true);
+  rotator.currentIndex = 1;
+  const second = rotator.processNextImage(true);
+
+  assert.equal(await first, false);
+  assert.equal(extractions[0].signal.aborted, true);
+  extractions[1].resolve();
+  assert.equal(await second, true);
+  assert.equal(applied.length, 1);
+  assert.equal(rotator.backgroundElement.style.backgroundImage, "url('two.jpg')");
+});
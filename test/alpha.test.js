@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+const frequencyOf = (palette, color) =>
+  palette.debugScores.find(score => score.color === color)?.frequencyScore ?? 0;
+
+test('transparent pixels are skipped and counted', () => {
+  const palette = new ColorTheoryExtractor(null)
+    .extractPaletteFromPixels(stripes([['#2563EB', 0.5], [[0, 0, 0, 0], 0.5]]));
+
+  assert.equal(palette.dominant, '#2266ee');
+  assert.equal(palette.filterRejections.transparent, 200);
+  assert.equal(frequencyOf(palette, '#2266ee'), 1);
+});
+
+test('semi-transparent pixels count by their opacity', () => {
+  const pixels = stripes([[[37, 99, 235, 64], 0.6], ['#DC2626', 0.4]]);
+  const weighted = new ColorTheoryExtractor(null).extractPaletteFromPixels(pixels);
+  const unweighted = new ColorTheoryExtractor(null, { alphaWeighting: false }).extractPaletteFromPixels(pixels);
+
+  assert.ok(frequencyOf(weighted, '#dd2222') > frequencyOf(weighted, '#2266ee'));
+  assert.ok(frequencyOf(unweighted, '#2266ee') > frequencyOf(unweighted, '#dd2222'));
+});
+
+test('matteColor composites instead of skipping', () => {
+  const extractor = new ColorTheoryExtractor(null, { matteColor: '#FFFFFF' });
+  const palette = extractor.extractPaletteFromPixels(stripes([[[220, 38, 38, 200], 0.5], [[0, 0, 0, 0], 0.5]]));
+
+  assert.equal(palette.filterRejections.transparent, undefined);
+  // #DC2626 at 78% opacity over white
+  assert.ok(palette.debugScores.some(score => score.color === extractor.quantizeColor(228, 85, 85)));
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryWorkerPool } = require('../color-theory.js');
+const { stripes, loadWorker } = require('./helpers');
+
+const positions = layer => layer.stops.map(stop => Math.round(stop.position * 100));
+
+test('background layers are parsed top first', () => {
+  const extractor = new ColorTheoryExtractor(null);
+  const layers = extractor.parseBackgroundImage(
+    'linear-gradient(rgba(0, 0, 0, 0.5), transparent), url("hero, 1.jpg"), url(data:image/png;base64,iVBO), none'
+  );
+
+  assert.deepEqual(layers.map(layer => layer.type), ['gradient', 'image', 'image']);
+  assert.deepEqual(layers[0].stops.map(stop => stop.color), [[0, 0, 0, 0.5], [0, 0, 0, 0]]);
+  assert.equal(layers[1].url, 'hero, 1.jpg');
+  assert.equal(layers[2].url, 'data:image/png;base64,iVBO');
+});
+
+test('image-set() picks the smallest candidate covering devicePixelRatio', (t) => {
+  const extractor = new ColorTheoryExtractor(null);
+  const value = 'image-set(url("hero@2x.jpg") 2x, url("hero.jpg") 1x, "hero@3x.jpg" 288dpi)';
+  const url = () => extractor.parseBackgroundImage(value)[0].url;
+
+  globalThis.window = { devicePixelRatio: 1 };
+  t.after(() => delete globalThis.window);
+  assert.equal(url(), 'hero.jpg');
+  window.devicePixelRatio = 1.5;
+  assert.equal(url(), 'hero@2x.jpg');
+  window.devicePixelRatio = 4;
+  assert.equal(url(), 'hero@3x.jpg');
+});
+
+test('gradient stops keep their positions and fill in the missing ones', () => {
+  const extractor = new ColorTheoryExtractor(null);
+  const parse = value => positions(extractor.parseBackgroundImage(value)[0]);
+
+  assert.deepEqual(parse('linear-gradient(to right, rgb(255, 0, 0) 10%, rgb(0, 0, 255) 90%)'), [10, 90]);
+  assert.deepEqual(parse('radial-gradient(circle at center, #f00, #0f0, #00f 80%, #fff)'), [0, 40, 80, 100]);
+  // A position before an earlier one moves up to it, two positions make two stops
+  assert.deepEqual(parse('linear-gradient(90deg, #f00 40%, #0f0 20%, #00f 30% 70%)'), [40, 40, 40, 70]);
+});
+
+test('gradients are sampled at their stop positions', () => {
+  const extractor = new ColorTheoryExtractor(null);
+  const share = (value, color) => {
+    const { colorFrequencies, totalPixels } = extractor.analyzeGradient(extractor.parseBackgroundImage(value)[0].stops);
+    return (colorFrequencies.get(color) || 0) / totalPixels;
+  };
+
+  // Solid blue from 0 to 80%, then a short blend into red
+  assert.ok(share('linear-gradient(#2563EB 80%, #DC2626)', '#2266ee') > 0.75);
+  assert.ok(share('linear-gradient(#2563EB, #DC2626)', '#2266ee') < 0.25);
+});
+
+test('image layers go through the loader and the worker path', async (t) => {
+  Object.assign(globalThis, {
+    window: { getComputedStyle: () => ({ backgroundImage: 'linear-gradient(#DC2626, #DC2626), url("hero.jpg")' }) },
+    Worker: class {},
+    OffscreenCanvas: class {},
+    createImageBitmap: async img => img
+  });
+  t.after(() => ['window', 'Worker', 'OffscreenCanvas', 'createImageBitmap'].forEach(name => delete globalThis[name]));
+
+  const extractor = new ColorTheoryExtractor(null, {
+    backgroundLayers: 'ALL',
+    backgroundGradients: true,
+    useWorker: true,
+    workerUrl: 'color-theory.js'
+  });
+  const img = {};
+  t.mock.method(extractor, 'loadImage', () => Promise.resolve(img));
+  const { data, width, height } = stripes([['#2563EB', 1]]);
+  t.mock.method(ColorTheoryWorkerPool.prototype, 'run', (bitmap, options, task) =>
+    Promise.resolve(extractor.analyzePixels(data, width, height)));
+
+  const palette = await extractor.extractPaletteFromBackgroundImage({});
+
+  assert.deepEqual(extractor.loadImage.mock.calls.map(call => call.arguments[0]), ['hero.jpg']);
+  const [run] = ColorTheoryWorkerPool.prototype.run.mock.calls;
+  assert.equal(run.arguments[0], img);
+  assert.equal(run.arguments[2], 'analysis');
+  assert.deepEqual(palette.debugScores.map(score => score.color).sort(), ['#2266ee', '#dd2222']);
+});
+
+test('the worker answers analysis jobs with the pixel analysis', async () => {
+  const reply = await loadWorker(stripes([['#2563EB', 1]]))({ options: {}, task: 'analysis' });
+
+  assert.equal(reply.palette, undefined);
+  assert.equal(reply.analysis.colorFrequencies.get('#2266ee'), reply.analysis.totalPixels);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+
+test('cache keys depend on the palette options only', async () => {
+  const key = options => new ColorTheoryExtractor(null, options).getCacheKey('hero.jpg');
+
+  assert.equal(await key({ context: 'TECH' }), await key({ context: 'TECH' }));
+  assert.notEqual(await key({ context: 'TECH' }), await key({ context: 'NATURE' }));
+  assert.equal(await key({ cache: 'MEMORY', cacheTtl: 0 }), await key({}));
+  assert.equal(await key({ context: { tech: 0.5, nature: 0.5 } }), await key({ context: { nature: 0.5, tech: 0.5 } }));
+  assert.match(await key({ cacheVersion: 'v2' }), /\|v2\|hero\.jpg$/);
+});
+
+test('withCache computes a palette once per key', async () => {
+  const extractor = new ColorTheoryExtractor(null, { cache: 'MEMORY' });
+  await extractor.clearCache();
+  let computed = 0;
+  const compute = () => Promise.resolve({ dominant: '#2266ee', run: ++computed });
+
+  assert.deepEqual(await extractor.withCache('hero.jpg', compute), { dominant: '#2266ee', run: 1 });
+  assert.deepEqual(await extractor.withCache('hero.jpg', compute), { dominant: '#2266ee', run: 1 });
+  await extractor.withCache('other.jpg', compute);
+  assert.equal(computed, 2);
+});
+
+test('withCache skips data and blob URLs but not URLs that mention them', async () => {
+  const extractor = new ColorTheoryExtractor(null, { cache: 'MEMORY' });
+  await extractor.clearCache();
+  let computed = 0;
+  const compute = () => Promise.resolve({ run: ++computed });
+
+  for (const url of ['data:image/png;base64,AAAA', 'BLOB:https://example.com/1', 'data:image/png;base64,AAAA']) {
+    await extractor.withCache(url, compute);
+  }
+  assert.equal(computed, 3);
+
+  await extractor.withCache('https://example.com/image?src=data:x', compute);
+  await extractor.withCache('https://example.com/image?src=data:x', compute);
+  assert.equal(computed, 4);
+});
+
+test('palettes from the memory cache are copies', async () => {
+  const extractor = new ColorTheoryExtractor(null, { cache: 'MEMORY' });
+  await extractor.clearCache();
+  const compute = () => Promise.resolve({ dominant: '#2266ee', analogous: { color1: '#22ee66' } });
+
+  const first = await extractor.withCache('hero.jpg', compute);
+  first.dominant = '#000000';
+  const second = await extractor.withCache('hero.jpg', compute);
+  second.analogous.color1 = '#000000';
+
+  assert.deepEqual(await extractor.withCache('hero.jpg', compute), { dominant: '#2266ee', analogous: { color1: '#22ee66' } });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, RYB_HUE_STOPS } = require('../color-theory.js');
+
+const ryb = new ColorTheoryExtractor(null, { colorWheel: 'RYB', harmonies: ['complementary', 'triadic'] });
+const hue = hex => Math.round(ryb.rgbToHsl(...ryb.hexToRgb(hex))[0] * 360);
+
+test('RYB hues map to RGB hues and back', () => {
+  for (const [rybHue, rgbHue] of RYB_HUE_STOPS.slice(0, -1)) {
+    assert.equal(ryb.rybToRgbHue(rybHue), rgbHue);
+  }
+  for (let h = 0; h < 360; h += 7) {
+    assert.ok(Math.abs(ryb.rybToRgbHue(ryb.rgbToRybHue(h)) - h) < 1e-9, `hue ${h}`);
+  }
+  assert.equal(ryb.rybToRgbHue(-120), ryb.rybToRgbHue(240));
+});
+
+test('RYB tertiary colors keep their primaries', () => {
+  const colors = ryb.getTertiaryColors();
+
+  assert.deepEqual(colors.red.rgb, [255, 0, 0]);
+  assert.deepEqual(colors.yellow.rgb, [255, 255, 0]);
+  assert.deepEqual(colors.blue.rgb, [0, 0, 255]);
+});
+
+test('RYB harmonies use the artist complements', () => {
+  const red = ryb.generateHarmonies(0, 1, 0.5);
+  const yellow = ryb.generateHarmonies(1 / 6, 1, 0.5);
+  const blue = ryb.generateHarmonies(2 / 3, 1, 0.5);
+
+  assert.equal(hue(red.complementary), 138);
+  assert.deepEqual([hue(red.triadic.color1), hue(red.triadic.color2)], [60, 240]);
+  assert.equal(hue(yellow.complementary), 285);
+  assert.equal(hue(blue.complementary), 34);
+});
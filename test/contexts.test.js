@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryWorkerPool, COLOR_CONTEXTS, CONTEXT_PROFILES } = require('../color-theory.js');
+const { stripes, loadWorker } = require('./helpers');
+
+ColorTheoryExtractor.registerContext('healthcare', { blueGreen: 1.3, green: 1.1 });
+ColorTheoryExtractor.registerContext('reef', { blueGreen: 1.3, blue: 1.1 },
+  { temperature: -0.4, saturation: 0.6, lightness: 0.4 });
+
+test('registered contexts are found whatever the case of their name', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const weights = new ColorTheoryExtractor(null, { context: 'healthcare' }).getContextWeights();
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(weights.blueGreen, 1.3);
+  assert.equal(weights.red, 1.0);
+});
+
+test('blends mix context weights by their share', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const weights = new ColorTheoryExtractor(null, { context: { tech: 0.5, Healthcare: 0.5 } }).getContextWeights();
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(weights.blue, (1.2 + 1.0) / 2);
+  assert.equal(weights.blueGreen, (1.1 + 1.3) / 2);
+});
+
+test('unknown contexts warn and score as neutral', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const weights = new ColorTheoryExtractor(null, { context: 'NOPE' }).getContextWeights();
+
+  assert.equal(warn.mock.callCount(), 1);
+  assert.ok(Object.values(weights).every(weight => weight === 1));
+});
+
+test('AUTO scores as neutral until a context is detected', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const weights = new ColorTheoryExtractor(null, { context: 'AUTO' }).getContextWeights();
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(weights.blueGreen, 1);
+  assert.ok(Object.values(weights).every(weight => weight === 1));
+});
+
+test('worker jobs carry the registered contexts', (t) => {
+  const posted = [];
+  globalThis.Worker = class {
+    postMessage(message) { posted.push(message); }
+  };
+  t.after(() => delete globalThis.Worker);
+
+  const pool = new ColorTheoryWorkerPool('color-theory.js', 1);
+  pool.run({}, { context: 'HEALTHCARE' }).catch(() => {});
+
+  assert.equal(posted.length, 1);
+  assert.deepEqual(posted[0].contexts.HEALTHCARE, COLOR_CONTEXTS.HEALTHCARE);
+  assert.deepEqual(posted[0].profiles.REEF, CONTEXT_PROFILES.REEF);
+});
+
+test('the worker scores with contexts registered on the main thread', async () => {
+  // Teal wins only with the HEALTHCARE weights, neutral weights pick the purple
+  const pixels = stripes([['#14B8A6', 0.5], ['#7C3AED', 0.5]]);
+  const reply = await loadWorker(pixels)({ options: { context: 'HEALTHCARE' }, contexts: COLOR_CONTEXTS });
+
+  assert.equal(reply.error, undefined);
+  assert.equal(reply.palette.dominant, '#11bbaa');
+});
+
+test('AUTO detects registered contexts in the worker as on the main thread', async () => {
+  const pixels = stripes([['#14B8A6', 0.7], ['#1E3A8A', 0.3]]);
+  const palette = new ColorTheoryExtractor(null, { context: 'AUTO' }).extractPaletteFromPixels(pixels);
+  const reply = await loadWorker(pixels)({
+    options: { context: 'AUTO' }, contexts: COLOR_CONTEXTS, profiles: CONTEXT_PROFILES
+  });
+
+  assert.equal(palette.detectedContext.name, 'REEF');
+  assert.deepEqual(structuredClone(reply.palette.detectedContext), palette.detectedContext);
+});
+
+test('AUTO keeps each detected context with its own image', () => {
+  const reef = stripes([['#14B8A6', 0.7], ['#1E3A8A', 0.3]]);
+  const other = stripes([['#F97316', 0.5], ['#7C3AED', 0.5]]);
+  const extractor = new ColorTheoryExtractor(null, { context: 'AUTO', explain: true });
+
+  extractor.extractPaletteFromPixels(reef);
+  const palette = extractor.extractPaletteFromPixels(other);
+  const fresh = new ColorTheoryExtractor(null, { context: 'AUTO', explain: true }).extractPaletteFromPixels(other);
+
+  assert.notEqual(palette.detectedContext.name, 'REEF');
+  assert.equal(palette.dominant, fresh.dominant);
+  assert.deepEqual(palette.explain.candidates, fresh.explain.candidates);
+  assert.deepEqual(extractor.getContextWeights(), new ColorTheoryExtractor(null).getContextWeights(null));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+test('extractPaletteFromPixels picks the best-scoring color', () => {
+  const extractor = new ColorTheoryExtractor(null, { context: 'TECH' });
+  const palette = extractor.extractPaletteFromPixels(stripes([['#2563EB', 0.6], ['#DC2626', 0.4]]));
+
+  assert.equal(palette.dominant, '#2266ee');
+  assert.deepEqual(palette.debugScores.map(score => score.color), ['#2266ee', '#dd2222']);
+});
+
+test('extractPaletteFromPixels is deterministic', () => {
+  const pixels = stripes([['#16A34A', 0.5], ['#F59E0B', 0.3], ['#7C3AED', 0.2]]);
+  const first = new ColorTheoryExtractor(null, { quantizer: 'KMEANS' }).extractPaletteFromPixels(pixels);
+  const second = new ColorTheoryExtractor(null, { quantizer: 'KMEANS' }).extractPaletteFromPixels(pixels);
+
+  assert.deepEqual(first, second);
+});
+
+test('context weights change the winner', () => {
+  const pixels = stripes([['#2563EB', 0.5], ['#16A34A', 0.5]]);
+
+  assert.equal(new ColorTheoryExtractor(null, { context: 'TECH' }).extractPaletteFromPixels(pixels).dominant, '#2266ee');
+  assert.equal(new ColorTheoryExtractor(null, { context: 'NATURE' }).extractPaletteFromPixels(pixels).dominant, '#11aa44');
+});
+
+test('transparent images fall back to fallbackColor', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const extractor = new ColorTheoryExtractor(null, { fallbackColor: '#123456' });
+  const palette = extractor.extractPaletteFromPixels(stripes([[[0, 0, 0, 0], 1]]));
+
+  assert.equal(palette.dominant, '#123456');
+});
+
+test('fromImageData accepts typed arrays', () => {
+  const { data, width, height } = stripes([['#2563EB', 1]], 8);
+  const palette = ColorTheoryExtractor.fromImageData({ data: new Uint8Array(data.buffer), width, height });
+
+  assert.equal(palette.dominant, '#2266ee');
+});
+
+test('the color option skips reading background images', async (t) => {
+  globalThis.window = { getComputedStyle: () => ({ backgroundImage: 'url("hero.jpg")' }) };
+  t.after(() => delete globalThis.window);
+  const extractor = new ColorTheoryExtractor(null, { color: '#2563EB' });
+  t.mock.method(extractor, 'loadImage', () => assert.fail('loaded an image'));
+  const palette = await extractor.extractPaletteFromBackgroundImage({});
+
+  assert.equal(palette.dominant.toLowerCase(), '#2563eb');
+  assert.deepEqual(palette.debugScores, []);
+});
+
+test('the color option skips loading image URLs and sources', async (t) => {
+  const extractor = new ColorTheoryExtractor(null, { color: '#2563EB', explain: true });
+  t.mock.method(extractor, 'loadImage', () => assert.fail('loaded an image'));
+
+  for (const palette of [await extractor.extractPaletteFromImageUrl('hero.jpg'), await extractor.extractPalette('hero.jpg')]) {
+    assert.equal(palette.explain.path, 'OVERRIDE');
+    assert.deepEqual(palette.debugScores, []);
+  }
+});
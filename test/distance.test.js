@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, DISTANCE_METRICS } = require('../color-theory.js');
+
+const extractor = new ColorTheoryExtractor(null);
+
+// Sharma, Wu and Dalal (2005), "The CIEDE2000 Color-Difference Formula", test data pairs
+const SHARMA_PAIRS = [
+  [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+  [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+  [[50, 2.8361, -74.0200], [50, 0, -82.7485], 3.4412],
+  [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0000],
+  [[50, 0, 0], [50, -1, 2], 2.3669],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+  [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+  [[50, -0.001, 2.49], [50, 0.0009, -2.49], 4.8045],
+  [[50, -0.001, 2.49], [50, 0.0011, -2.49], 4.7461],
+  [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+  [[50, 2.5, 0], [73, 25, -18], 27.1492],
+  [[50, 2.5, 0], [61, -5, 29], 22.8977],
+  [[50, 2.5, 0], [56, -27, -3], 31.9030],
+  [[50, 2.5, 0], [58, 24, 15], 19.4535],
+  [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0000],
+  [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+  [[63.0109, -31.0961, -5.8663], [62.8187, -29.7946, -4.0864], 1.2630],
+  [[22.7233, 20.0904, -46.6940], [23.0331, 14.9730, -42.5619], 2.0373],
+  [[90.8027, -2.0831, 1.4410], [91.1528, -1.6435, 0.0447], 1.4441],
+  [[2.0776, 0.0795, -1.1350], [0.9033, -0.0636, -0.5514], 0.9082]
+];
+
+test('CIEDE2000 matches the Sharma reference pairs', () => {
+  for (const [lab1, lab2, expected] of SHARMA_PAIRS) {
+    assert.equal(extractor.calculateDeltaE2000(lab1, lab2).toFixed(4), expected.toFixed(4), `${lab1} / ${lab2}`);
+    assert.equal(extractor.calculateDeltaE2000(lab2, lab1).toFixed(4), expected.toFixed(4), `${lab2} / ${lab1}`);
+  }
+});
+
+test('rgbToLab and rgbToOklab put white and black at the ends of lightness', () => {
+  const [L, a, b] = extractor.rgbToLab(255, 255, 255);
+  assert.ok(Math.abs(L - 100) < 1e-3 && Math.abs(a) < 1e-3 && Math.abs(b) < 1e-3);
+  assert.deepEqual(extractor.rgbToLab(0, 0, 0), [0, 0, 0]);
+  assert.ok(Math.abs(extractor.rgbToOklab(255, 255, 255)[0] - 1) < 1e-6);
+});
+
+test('every metric gives 0-1 distances', () => {
+  for (const metric of Object.keys(DISTANCE_METRICS)) {
+    assert.equal(extractor.calculateColorDistance([10, 20, 30], [10, 20, 30], metric), 0, metric);
+
+    const near = extractor.calculateColorDistance([200, 40, 40], [210, 50, 40], metric);
+    const far = extractor.calculateColorDistance([200, 40, 40], [40, 60, 220], metric);
+    assert.ok(near > 0 && near < far && far <= 1, `${metric}: ${near}, ${far}`);
+  }
+  assert.ok(Math.abs(extractor.calculateColorDistance([0, 0, 0], [255, 255, 255], 'OKLAB') - 1) < 1e-6);
+});
+
+test('distanceMetric picks the default metric and unknown metrics throw', () => {
+  const lab = new ColorTheoryExtractor(null, { distanceMetric: 'CIE76' });
+
+  assert.ok(Math.abs(lab.calculateColorDistance([0, 0, 0], [255, 255, 255]) - 100 / DISTANCE_METRICS.CIE76) < 1e-6);
+  assert.throws(() => extractor.calculateColorDistance([0, 0, 0], [1, 1, 1], 'HSV'), /Unknown distance metric: HSV/);
+});
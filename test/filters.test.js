@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { hexToRgba, stripes } = require('./helpers');
+
+// Runs one pixel through the pipeline, returning the filter that rejected it, if any
+const rejectedBy = (extractor, hex) => {
+  const [r, g, b] = hexToRgba(hex);
+  const stats = { filterRejections: {}, hueRejections: {} };
+  const valid = extractor.isValidColor(r, g, b, ...extractor.rgbToHsl(r, g, b), stats);
+  return valid ? null : Object.keys(stats.filterRejections)[0];
+};
+
+test('the default pipeline rejects grays and out-of-range lightness', () => {
+  const extractor = new ColorTheoryExtractor(null);
+
+  assert.equal(rejectedBy(extractor, '#2563EB'), null);
+  assert.equal(rejectedBy(extractor, '#808080'), 'saturation');
+  assert.equal(rejectedBy(extractor, '#FAFAFF'), 'tint');
+});
+
+test('the first filter in the pipeline to reject a pixel counts it', () => {
+  // A warm off-white, outside tintRange too
+  const extractor = new ColorTheoryExtractor(null, { filters: ['neutral', 'tint'] });
+
+  assert.equal(rejectedBy(extractor, '#FAF5F0'), 'neutral');
+  assert.equal(rejectedBy(new ColorTheoryExtractor(null, { filters: ['tint', 'neutral'] }), '#FAF5F0'), 'tint');
+});
+
+test('filters can be disabled or given params', () => {
+  const enabled = new ColorTheoryExtractor(null, { filters: ['neutral'] });
+  const disabled = new ColorTheoryExtractor(null, { filters: [{ name: 'neutral', enabled: false }] });
+  const narrow = new ColorTheoryExtractor(null, { filters: [{ name: 'tint', params: { range: [0.6, 0.9] } }] });
+
+  assert.equal(rejectedBy(enabled, '#A89F91'), 'neutral');
+  assert.equal(rejectedBy(disabled, '#A89F91'), null);
+  assert.equal(rejectedBy(narrow, '#2563EB'), 'tint');
+  assert.equal(rejectedBy(narrow, '#93C5FD'), null);
+});
+
+test('the skin filter catches skin tones with either method', () => {
+  const ycbcr = new ColorTheoryExtractor(null, { filters: ['skin'] });
+  const rgb = new ColorTheoryExtractor(null, { filters: [{ name: 'skin', params: { method: 'RGB' } }] });
+
+  assert.equal(rejectedBy(ycbcr, '#E0AC69'), 'skin');
+  assert.equal(rejectedBy(ycbcr, '#8D5524'), 'skin');
+  assert.equal(rejectedBy(rgb, '#E0AC69'), 'skin');
+  assert.equal(rejectedBy(ycbcr, '#2563EB'), null);
+});
+
+test('registered filters run in the pipeline and report their rejections', () => {
+  ColorTheoryExtractor.registerFilter('noBlue', ({ r, b }, { margin }) => b < r + margin, { margin: 60 });
+  const extractor = new ColorTheoryExtractor(null, { filters: ['neutral', 'noBlue'], explain: true });
+  const palette = extractor.extractPaletteFromPixels(stripes([['#2563EB', 0.7], ['#DC2626', 0.3]]));
+
+  assert.equal(palette.dominant, '#dd2222');
+  assert.equal(palette.filterRejections.noBlue, 280);
+  assert.equal(extractor.getFilterPipeline()[1].custom, true);
+});
+
+test('unknown filters and filters without a test throw', () => {
+  assert.throws(() => new ColorTheoryExtractor(null, { filters: ['nope'] }).getFilterPipeline(), /Unknown pixel filter: nope/);
+  assert.throws(() => ColorTheoryExtractor.registerFilter('broken', null), /needs a test function/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+
+const hues = (extractor, harmony) => Object.values(harmony).map(hex => Math.round(extractor.rgbToHsl(
+  ...extractor.hexToRgb(hex))[0] * 360));
+
+test('built-in harmonies place colors at their hue offsets', () => {
+  const extractor = new ColorTheoryExtractor(null, {
+    harmonies: ['complementary', 'triadic', { name: 'tetradic', params: { angle: 40 } }, 'doubleSplit']
+  });
+  const harmonies = extractor.generateHarmonies(0, 1, 0.5);
+
+  assert.deepEqual(Object.keys(harmonies), ['complementary', 'triadic', 'tetradic', 'doubleSplit']);
+  assert.deepEqual(hues(extractor, [harmonies.complementary]), [180]);
+  assert.deepEqual(hues(extractor, harmonies.triadic), [120, 240]);
+  assert.deepEqual(hues(extractor, harmonies.tetradic), [40, 180, 220]);
+  assert.deepEqual(hues(extractor, harmonies.doubleSplit), [30, 330, 150, 210]);
+});
+
+test('count adds colors either side of the arms', () => {
+  const extractor = new ColorTheoryExtractor(null, {
+    harmonies: [{ name: 'triadic', params: { count: 6, spread: 10 } }, { name: 'compound', params: { count: 1 } }]
+  });
+  const { triadic, compound } = extractor.generateHarmonies(0, 1, 0.5);
+
+  assert.deepEqual(hues(extractor, triadic), [120, 240, 130, 250, 110, 230]);
+  assert.deepEqual(hues(extractor, compound), [30]);
+});
+
+test('the original harmony methods use the registry defaults', () => {
+  const extractor = new ColorTheoryExtractor(null, { harmonies: ['monochromatic'] });
+
+  assert.equal(typeof extractor.generateComplementary(0, 1, 0.5), 'string');
+  assert.deepEqual(hues(extractor, extractor.generateAnalogous(0, 1, 0.5)), [30, 330]);
+  assert.deepEqual(hues(extractor, extractor.generateSplitComplementary(0, 1, 0.5)), [151, 209]);
+  assert.deepEqual(extractor.generateTriadic(0, 1, 0.5),
+    new ColorTheoryExtractor(null, { harmonies: ['triadic'] }).generateHarmonies(0, 1, 0.5).triadic);
+});
+
+test('registered harmonies cannot take a palette field', () => {
+  assert.throws(() => ColorTheoryExtractor.registerHarmony('dominant', () => []), /palette field/);
+  assert.throws(() => ColorTheoryExtractor.registerHarmony('modes', () => []), /palette field/);
+
+  ColorTheoryExtractor.registerHarmony('pentadic', ({ step }) => [1, 2, 3, 4].map(i => ({ hue: i * step })), { step: 72 });
+  const palette = new ColorTheoryExtractor(null, { harmonies: ['pentadic'] }).generatePalette('#FF0000');
+  assert.deepEqual(Object.keys(palette.pentadic), ['color1', 'color2', 'color3', 'color4']);
+  assert.equal(palette.dominant, '#FF0000');
+});
+
+test('only the original four harmonies are generated by default', () => {
+  const palette = new ColorTheoryExtractor(null).generatePalette('#FF0000');
+
+  assert.ok(['complementary', 'analogous', 'splitComplementary', 'triadic'].every(name => name in palette));
+  assert.ok(['tetradic', 'square', 'monochromatic', 'compound', 'doubleSplit'].every(name => !(name in palette)));
+});
+
+test('INHERIT keeps the source OKLCH lightness and fits chroma into sRGB', () => {
+  const extractor = new ColorTheoryExtractor(null, { harmonies: ['triadic'], harmonyStrategy: 'INHERIT' });
+  const [sourceL] = extractor.rgbToOklch(...extractor.hslToRgb(0.6, 0.8, 0.45));
+  const { triadic } = extractor.generateHarmonies(0.6, 0.8, 0.45);
+
+  for (const hex of Object.values(triadic)) {
+    assert.ok(Math.abs(extractor.rgbToOklch(...extractor.hexToRgb(hex))[0] - sourceL) < 0.01, hex);
+  }
+});
+
+test('SCHEME uses the preset harmonyTarget and a harmony can pick its own strategy', () => {
+  const extractor = new ColorTheoryExtractor(null, {
+    scheme: 'PASTEL',
+    harmonyStrategy: 'SCHEME',
+    harmonies: ['complementary', { name: 'analogous', strategy: 'FIXED' }]
+  });
+  const { complementary, analogous } = extractor.generateHarmonies(0, 1, 0.5);
+  const [, s, l] = extractor.rgbToHsl(...extractor.hexToRgb(complementary));
+
+  assert.ok(Math.abs(s - 0.45) < 0.01 && Math.abs(l - 0.8) < 0.01, complementary);
+  assert.equal(analogous.color1, new ColorTheoryExtractor(null, { harmonies: ['analogous'] })
+    .generateHarmonies(0, 1, 0.5).analogous.color1);
+  assert.throws(() => new ColorTheoryExtractor(null, { harmonies: ['triadic'], harmonyStrategy: 'NOPE' })
+    .generateHarmonies(0, 1, 0.5), /Unknown harmony strategy: NOPE/);
+});
+
+test('FIXED keeps the complementary at least as saturated as the source', () => {
+  const extractor = new ColorTheoryExtractor(null, { harmonies: ['complementary', 'triadic'] });
+  const saturation = hex => extractor.rgbToHsl(...extractor.hexToRgb(hex))[1];
+  const vivid = extractor.generateHarmonies(0, 1, 0.5);
+  const muted = extractor.generateHarmonies(0, 0.3, 0.5);
+
+  assert.ok(saturation(vivid.complementary) > 0.95, vivid.complementary);
+  assert.ok(Math.abs(saturation(muted.complementary) - 0.85) < 0.02, muted.complementary);
+  assert.ok(Math.abs(saturation(vivid.triadic.color1) - 0.85) < 0.02, vivid.triadic.color1);
+});
@@ -0,0 +1,49 @@
+// Synthetic RGBA images for the DOM-free core
+const hexToRgba = hex => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+};
+
+// Horizontal stripes, e.g. stripes([['#2563EB', 0.75], ['#16A34A', 0.25]]).
+// A color may be [r, g, b, a] instead of a hex string.
+const stripes = (bands, size = 20) => {
+  const data = new Uint8ClampedArray(size * size * 4);
+  let row = 0;
+  bands.forEach(([color, share], i) => {
+    const rgba = typeof color === 'string' ? hexToRgba(color) : color;
+    const end = i === bands.length - 1 ? size : Math.min(size, row + Math.round(share * size));
+    for (; row < end; row++) {
+      for (let x = 0; x < size; x++) data.set(rgba, (row * size + x) * 4);
+    }
+  });
+  return { data, width: size, height: size };
+};
+
+// Runs color-theory.js as the worker script, with an OffscreenCanvas that hands back
+// `pixels`. Returns a function that posts a job and resolves with the worker's reply.
+const loadWorker = (pixels) => {
+  const vm = require('node:vm');
+  const fs = require('node:fs');
+  const path = require('node:path');
+
+  class WorkerGlobalScope {}
+  const self = new WorkerGlobalScope();
+  const context = vm.createContext({
+    self,
+    WorkerGlobalScope,
+    console,
+    OffscreenCanvas: class {
+      getContext() {
+        return { drawImage() {}, getImageData: () => pixels };
+      }
+    }
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'color-theory.js'), 'utf8'), context);
+
+  return message => new Promise(resolve => {
+    self.postMessage = resolve;
+    self.onmessage({ data: { id: 1, bitmap: { width: pixels.width, height: pixels.height, close() {} }, ...message } });
+  });
+};
+
+module.exports = { hexToRgba, stripes, loadWorker };
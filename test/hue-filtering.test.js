@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+const hueFactor = (hueFiltering, degrees) =>
+  new ColorTheoryExtractor(null, { hueFiltering }).getHueFactor(degrees / 360);
+
+test('include ranges wrap past 360°', () => {
+  const filter = { mode: 'INCLUDE', includeRanges: ['REDS'], softEdge: 0 };
+
+  assert.equal(hueFactor(filter, 355), 1);
+  assert.equal(hueFactor(filter, 0), 1);
+  assert.equal(hueFactor(filter, 10), 1);
+  assert.equal(hueFactor(filter, 30), 0);
+  assert.equal(hueFactor(filter, 330), 0);
+});
+
+test('exclude ranges wrap past 360°', () => {
+  const filter = { mode: 'EXCLUDE', excludeRanges: [{ min: 350, max: 10 }], softEdge: 0 };
+
+  assert.equal(hueFactor(filter, 355), 0);
+  assert.equal(hueFactor(filter, 5), 0);
+  assert.equal(hueFactor(filter, 20), 1);
+  assert.equal(hueFactor(filter, 340), 1);
+});
+
+test('BOTH keeps hues that are included and not excluded', () => {
+  const filter = {
+    mode: 'BOTH',
+    includeRanges: [{ min: 180, max: 260 }],
+    excludeRanges: [{ min: 200, max: 210 }],
+    softEdge: 0
+  };
+
+  assert.equal(hueFactor(filter, 190), 1);
+  assert.equal(hueFactor(filter, 205), 0);
+  assert.equal(hueFactor(filter, 100), 0);
+});
+
+test('soft edges scale scores to one half at the boundary', () => {
+  const filter = { mode: 'EXCLUDE', excludeRanges: [{ min: 100, max: 140 }], softEdge: 10 };
+
+  assert.equal(hueFactor(filter, 100), 0.5);
+  assert.equal(hueFactor(filter, 95), 0.75);
+  assert.equal(hueFactor(filter, 85), 1);
+  assert.equal(hueFactor(filter, 120), 0);
+});
+
+test('clustered candidates inside an excluded range are dropped', () => {
+  const extractor = new ColorTheoryExtractor(null);
+  // Hues 90° and 150° both pass, their centroid lands at 120°
+  const pixels = stripes([
+    [extractor.hslToHex(90 / 360, 0.8, 0.5), 0.5],
+    [extractor.hslToHex(150 / 360, 0.8, 0.5), 0.5]
+  ]);
+
+  for (const quantizer of ['KMEANS', 'MEDIAN_CUT', 'OCTREE']) {
+    for (const softEdge of [0, 10]) {
+      const palette = new ColorTheoryExtractor(null, {
+        quantizer,
+        clusterCount: 1,
+        hueFiltering: { mode: 'EXCLUDE', excludeRanges: [{ min: 100, max: 140 }], softEdge }
+      }).extractPaletteFromPixels(pixels);
+
+      assert.deepEqual(palette.debugScores, [], `${quantizer}, softEdge ${softEdge}`);
+      assert.equal(palette.dominant, '#3B82F6');
+    }
+  }
+});
+
+test('excluded pixels are counted per range', () => {
+  const extractor = new ColorTheoryExtractor(null, {
+    hueFiltering: { mode: 'EXCLUDE', excludeRanges: [{ min: 100, max: 160 }], softEdge: 0 }
+  });
+  const palette = extractor.extractPaletteFromPixels(stripes([['#2563EB', 0.5], ['#22C55E', 0.5]]));
+
+  assert.ok(palette.hueRejections['100-160'] > 0);
+  assert.equal(palette.dominant, '#2266ee');
+});
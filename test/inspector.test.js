@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryInspector } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+// Just enough DOM for the panel. Markup set through innerHTML is not parsed, so every
+// selector gets an element of its own.
+class FakeElement extends EventTarget {
+  constructor(tagName) {
+    super();
+    Object.assign(this, { tagName, children: [], style: {}, dataset: {}, className: '', textContent: '', innerHTML: '', value: '' });
+    this.found = new Map();
+  }
+
+  get classList() {
+    const classes = () => this.className.split(' ').filter(Boolean);
+    return {
+      contains: name => classes().includes(name),
+      toggle: (name, on) => { this.className = [...classes().filter(c => c !== name), ...(on ? [name] : [])].join(' '); }
+    };
+  }
+
+  get options() { return this.children; }
+  get rows() { return this.children; }
+  append(...nodes) { this.children.push(...nodes); }
+  replaceChildren(...nodes) { this.children = nodes; }
+  attachShadow() { return new FakeElement('#shadow-root'); }
+  querySelector(selector) {
+    if (!this.found.has(selector)) this.found.set(selector, new FakeElement(selector));
+    return this.found.get(selector);
+  }
+  querySelectorAll(selector) { return [0, 1].map(i => this.querySelector(`${selector}:${i}`)); }
+  getContext() { return { putImageData: image => { this.image = image; } }; }
+  remove() {}
+  select() {}
+}
+
+const GLOBALS = ['document', 'Option', 'ImageData', 'requestAnimationFrame', 'cancelAnimationFrame'];
+
+// An inspector that has already run on `pixels`, frames run when nextFrame() is called
+const inspect = (t, pixels, extractorOptions = {}) => {
+  const frames = [];
+  Object.assign(globalThis, {
+    document: { documentElement: null, body: new FakeElement('body'), createElement: tag => new FakeElement(tag) },
+    Option: class { constructor(text, value) { Object.assign(this, { text, value }); } },
+    ImageData: class { constructor(width, height) { Object.assign(this, { width, height, data: new Uint8ClampedArray(width * height * 4) }); } },
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {}
+  });
+  t.after(() => GLOBALS.forEach(name => delete globalThis[name]));
+  t.mock.method(ColorTheoryInspector.prototype, 'load', () => Promise.resolve());
+
+  const inspector = new ColorTheoryInspector(new FakeElement('img'), { extractorOptions, applyTo: null });
+  inspector.pixels = pixels;
+  inspector.run();
+  return { inspector, nextFrame: () => frames.splice(0).forEach(callback => callback()) };
+};
+
+const pixelAt = (image, row) => [...image.data.slice(row * 20 * 4, row * 20 * 4 + 4)];
+
+test('the heatmap shows which candidate each pixel went to', (t) => {
+  const { inspector } = inspect(t, stripes([['#2563EB', 0.5], ['#FFFFFF', 0.25], [[0, 0, 0, 0], 0.25]]));
+  const blue = inspector.palette.explain.candidates.findIndex(candidate => candidate.color === inspector.palette.dominant);
+  assert.ok(blue >= 0);
+
+  assert.equal(inspector.owners[0], blue);
+  assert.equal(inspector.owners[10 * 20], -2); // White is filtered out
+  assert.equal(inspector.owners[15 * 20], -1); // Transparent
+
+  const overlay = () => inspector.heatmap.image;
+  assert.deepEqual(pixelAt(overlay(), 0), [...inspector.extractor.hexToRgb(inspector.palette.dominant), 230]);
+  assert.equal(pixelAt(overlay(), 10)[3], 200);
+  assert.equal(pixelAt(overlay(), 15)[3], 0);
+
+  // A highlighted candidate's pixels show through, everything else is dimmed
+  inspector.highlight(blue);
+  assert.equal(pixelAt(overlay(), 0)[3], 0);
+  assert.equal(pixelAt(overlay(), 15)[3], 200);
+});
+
+test('the candidate table marks the winner and candidates under minFrequency', (t) => {
+  const { inspector } = inspect(t, stripes([['#2563EB', 0.5], ['#16A34A', 0.45], ['#DC2626', 0.05]]), { minFrequency: 0.1 });
+  const { candidates, winner } = inspector.palette.explain;
+  const rows = inspector.table.rows;
+
+  assert.equal(rows.length, candidates.length);
+  assert.equal(rows[candidates.indexOf(winner)].className, 'winner');
+  const below = candidates.findIndex(candidate => !candidate.viable);
+  assert.equal(rows[below].className, 'below');
+  assert.match(rows[below].title, /^Below minFrequency/);
+
+  rows[1].dispatchEvent(new Event('click'));
+  assert.equal(inspector.pinned, true);
+  assert.equal(inspector.selected, 1);
+  assert.ok(rows[1].classList.contains('selected'));
+  rows[1].dispatchEvent(new Event('click'));
+  assert.equal(inspector.selected, null);
+});
+
+test('filter names are written into the summary as text', (t) => {
+  const name = '<img src=x onerror=alert(1)>';
+  ColorTheoryExtractor.registerFilter(name, ({ r, g }) => r < g);
+  const { inspector } = inspect(t, stripes([['#16A34A', 0.5], ['#DC2626', 0.5]]), { filters: [name] });
+
+  assert.doesNotMatch(inspector.summary.innerHTML, /<img/);
+  assert.equal(inspector.summary.querySelector('.removed').textContent, ` · removed: ${name} 50.0%`);
+  assert.equal(inspector.summary.querySelector('b').textContent, inspector.palette.dominant);
+});
+
+test('slider and select changes rerun the extraction once per frame', (t) => {
+  const { inspector, nextFrame } = inspect(t, stripes([['#2563EB', 0.5], ['#16A34A', 0.5]]));
+  const slider = (key, index) => inspector.sliders.find(({ control }) => control.key === key && control.index === index);
+  const run = t.mock.method(inspector, 'run');
+
+  const frequency = slider('minFrequency');
+  frequency.input.value = '0.2';
+  frequency.input.dispatchEvent(new Event('input'));
+  const shade = slider('tintRange', 0);
+  shade.input.value = '0.1';
+  shade.input.dispatchEvent(new Event('input'));
+  inspector.contextSelect.value = 'LUXURY';
+  inspector.contextSelect.dispatchEvent(new Event('change'));
+  assert.equal(run.mock.callCount(), 0);
+
+  nextFrame();
+  assert.equal(run.mock.callCount(), 1);
+  const { options } = inspector.extractor;
+  assert.equal(options.minFrequency, 0.2);
+  assert.deepEqual(options.tintRange, [0.1, 0.7]); // The VIBRANT preset is [0.3, 0.7]
+  assert.equal(options.context, 'LUXURY');
+  assert.equal(frequency.output.value, '0.200');
+  assert.match(inspector.toAttributes(), /data-context="luxury".*data-frequency="0.2".*data-shade="0.1"/);
+
+  // A new scheme brings its own ranges
+  inspector.schemeSelect.value = 'PASTEL';
+  inspector.schemeSelect.dispatchEvent(new Event('change'));
+  nextFrame();
+  assert.deepEqual(inspector.extractor.options.tintRange, [0.6, 0.9]);
+});
+
+test('a null context is kept through the controls and left out of the attributes', (t) => {
+  const { inspector, nextFrame } = inspect(t, stripes([['#2563EB', 1]]), { context: null });
+
+  assert.equal(inspector.contextSelect.value, '');
+  assert.doesNotMatch(inspector.toAttributes(), /data-context/);
+  assert.equal(JSON.parse(inspector.toJSON()).context, null);
+
+  inspector.contextSelect.value = 'TECH';
+  inspector.contextSelect.dispatchEvent(new Event('change'));
+  nextFrame();
+  inspector.contextSelect.value = '';
+  inspector.contextSelect.dispatchEvent(new Event('change'));
+  nextFrame();
+  assert.equal(inspector.extractor.options.context, null);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryLoadError } = require('../color-theory.js');
+
+// An <img> stand-in: `loads(url, crossOrigin)` decides between onload and onerror
+const stubImage = (t, loads) => {
+  globalThis.Image = class {
+    set src(url) {
+      setImmediate(() => loads(url, this.crossOrigin) ? this.onload() : this.onerror());
+    }
+  };
+  t.after(() => delete globalThis.Image);
+};
+
+const loadError = type => error => error instanceof ColorTheoryLoadError && error.type === type;
+
+test('loaders are tried in order until one succeeds', async (t) => {
+  const extractor = new ColorTheoryExtractor(null, {
+    loader: ['ANONYMOUS', 'PROXY'],
+    proxyUrl: '/image-proxy?url={url}'
+  });
+  const img = {};
+  t.mock.method(extractor, 'loadImageElement', url => url.startsWith('/image-proxy')
+    ? Promise.resolve(img)
+    : Promise.reject(new ColorTheoryLoadError('CORS', 'no CORS')));
+
+  assert.equal(await extractor.loadImage('https://cdn.example/hero.jpg'), img);
+  assert.deepEqual(extractor.loadImageElement.mock.calls.map(call => call.arguments.slice(0, 2)), [
+    ['https://cdn.example/hero.jpg', 'anonymous'],
+    ['/image-proxy?url=https%3A%2F%2Fcdn.example%2Fhero.jpg', 'anonymous']
+  ]);
+});
+
+test('the last loader error is the one reported', async (t) => {
+  const extractor = new ColorTheoryExtractor(null, { loader: ['CREDENTIALS', 'NOPE'] });
+  t.mock.method(extractor, 'loadImageElement', () => Promise.reject(new ColorTheoryLoadError('CORS', 'no CORS')));
+
+  await assert.rejects(extractor.loadImage('hero.jpg'), /Unknown image loader: NOPE/);
+  assert.equal(extractor.loadImageElement.mock.calls[0].arguments[1], 'use-credentials');
+});
+
+test('data URLs load directly and custom loaders may return a Blob', async (t) => {
+  const blob = new Blob(['png'], { type: 'image/png' });
+  const loader = t.mock.fn(() => Promise.resolve(blob));
+  const extractor = new ColorTheoryExtractor(null, { loader });
+  const img = {};
+  t.mock.method(extractor, 'loadImageElement', () => Promise.resolve(img));
+  t.mock.method(extractor, 'loadBlob', () => Promise.resolve(img));
+
+  await extractor.loadImage('data:image/png;base64,iVBO');
+  assert.equal(loader.mock.callCount(), 0);
+
+  assert.equal(await extractor.loadImage('hero.jpg'), img);
+  assert.deepEqual(extractor.loadBlob.mock.calls[0].arguments.slice(0, 2), [blob, 'hero.jpg']);
+});
+
+test('<img> failures are told apart as CORS, NETWORK or DECODE', async (t) => {
+  // The CDN image only loads without crossOrigin, i.e. it has no CORS headers
+  stubImage(t, (url, crossOrigin) => url === 'https://cdn.example/hero.jpg' && !crossOrigin);
+  const extractor = new ColorTheoryExtractor(null);
+
+  await assert.rejects(extractor.loadImage('https://cdn.example/hero.jpg'), loadError('CORS'));
+  await assert.rejects(extractor.loadImage('https://cdn.example/missing.jpg'), loadError('NETWORK'));
+  await assert.rejects(extractor.loadImage('data:image/png;base64,broken'), loadError('DECODE'));
+});
+
+test('FETCH failures are NETWORK, or CORS for cross-origin URLs', async (t) => {
+  globalThis.location = new URL('https://site.example/page');
+  t.after(() => delete globalThis.location);
+  const extractor = new ColorTheoryExtractor(null, { loader: 'FETCH' });
+
+  t.mock.method(globalThis, 'fetch', () => Promise.resolve({ ok: false, status: 404 }));
+  await assert.rejects(extractor.loadImage('/missing.jpg'), error => loadError('NETWORK')(error) && /404/.test(error.message));
+
+  fetch.mock.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+  await assert.rejects(extractor.loadImage('https://cdn.example/hero.jpg'), loadError('CORS'));
+  await assert.rejects(extractor.loadImage('/hero.jpg'), loadError('NETWORK'));
+});
+
+test('undecodable blobs are DECODE and a tainted canvas is TAINTED_CANVAS', async (t) => {
+  const extractor = new ColorTheoryExtractor(null);
+  t.mock.method(extractor, 'loadImage', () => Promise.reject(new Error('broken')));
+  await assert.rejects(extractor.loadBlob(new Blob(['?'], { type: 'image/svg+xml' }), 'logo.svg'),
+    error => loadError('DECODE')(error) && error.url === 'logo.svg');
+
+  t.mock.method(extractor, 'createCanvas', (width, height) => ({
+    width,
+    height,
+    getContext: () => ({
+      drawImage() {},
+      getImageData() { throw Object.assign(new Error('tainted'), { name: 'SecurityError' }); }
+    })
+  }));
+  assert.throws(() => extractor.getImagePixels({ src: 'https://cdn.example/hero.jpg', width: 10, height: 10 }),
+    error => loadError('TAINTED_CANVAS')(error) && error.url === 'https://cdn.example/hero.jpg');
+});
+
+test('loader hooks do not keep extraction off the worker', () => {
+  Object.assign(globalThis, { Worker: class {}, OffscreenCanvas: class {}, createImageBitmap: async () => ({}) });
+  try {
+    const options = { useWorker: true, workerUrl: 'loader-worker.js', proxyUrl: url => `/proxy/${url}` };
+    assert.equal(new ColorTheoryExtractor(null, { ...options, loader: () => null }).canUseWorker(), true);
+    assert.equal(new ColorTheoryExtractor(null, { ...options, quantizer: () => [] }).canUseWorker(), false);
+  } finally {
+    ['Worker', 'OffscreenCanvas', 'createImageBitmap'].forEach(name => delete globalThis[name]);
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+const PIXELS = stripes([['#2563EB', 0.6], ['#16A34A', 0.4]]);
+
+const extract = (options = {}) => {
+  const extractor = new ColorTheoryExtractor(null, { modes: ['light', 'dark'], accessibilityChecks: false, ...options });
+  return { extractor, palette: extractor.extractPaletteFromPixels(PIXELS) };
+};
+
+// An element whose inline custom properties are kept in a Map
+const element = () => {
+  const properties = new Map();
+  return {
+    properties,
+    dataset: {},
+    classList: { add() {}, remove() {} },
+    style: {
+      setProperty: (name, value) => properties.set(name, value),
+      removeProperty: name => properties.delete(name)
+    }
+  };
+};
+
+test('each mode has tinted neutrals and accents that reach minimumContrast', () => {
+  const { extractor, palette } = extract();
+  const { light, dark } = palette.modes;
+  const lightness = hex => extractor.rgbToOklch(...extractor.hexToRgb(hex))[0];
+
+  assert.ok(lightness(light.background) > 0.95);
+  assert.ok(lightness(dark.background) < 0.2);
+  assert.ok(lightness(light.text) < lightness(light.textMuted));
+  assert.ok(lightness(dark.text) > lightness(dark.textMuted));
+
+  for (const mode of [light, dark]) {
+    for (const token of ['primary', 'accent1', 'accent2', 'accent3', 'accent4']) {
+      assert.ok(extractor.calculateContrastRatio(mode[token], mode.background) >= 4.5, token);
+    }
+    const other = mode.onPrimary === '#FFFFFF' ? '#000000' : '#FFFFFF';
+    assert.ok(extractor.calculateContrastRatio(mode.primary, mode.onPrimary) >=
+      extractor.calculateContrastRatio(mode.primary, other));
+  }
+});
+
+test('unknown modes are rejected', () => {
+  assert.throws(() => extract({ modes: ['sepia'] }), /Unknown theme mode: sepia/);
+});
+
+test('MEDIA styles set the first mode and override it per prefers-color-scheme', () => {
+  const { extractor, palette } = extract();
+  const css = extractor.getModeStyles(palette.modes, ':root');
+
+  assert.ok(css.startsWith(`:root {\n  --theme-background: ${palette.modes.light.background};`));
+  assert.match(css, /--theme-text-muted: #[0-9a-f]{6};/);
+  assert.match(css, /--theme-accent-1: #[0-9a-f]{6};/);
+  assert.ok(css.includes(`@media (prefers-color-scheme: dark) {\n:root {\n  --theme-background: ${palette.modes.dark.background};`));
+  assert.ok(css.includes('@media (prefers-color-scheme: light) {'));
+  assert.doesNotMatch(css, /data-theme/);
+});
+
+test('DATA_THEME styles select [data-theme] on the root, the element or an ancestor', () => {
+  const { extractor, palette } = extract({ modeSelector: 'DATA_THEME' });
+
+  const root = extractor.getModeStyles(palette.modes, ':root');
+  assert.ok(root.includes(`:root[data-theme="dark"] {\n  --theme-background: ${palette.modes.dark.background};`));
+  assert.doesNotMatch(root, /@media/);
+
+  const scoped = extractor.getModeStyles(palette.modes, '[data-theme-scope="3"]');
+  assert.ok(scoped.includes('[data-theme-scope="3"][data-theme="dark"], [data-theme="dark"] [data-theme-scope="3"] {'));
+});
+
+test('addPalette writes one stylesheet per scope and leaves primary out of the inline style', (t) => {
+  const head = { children: [], append(node) { this.children.push(node); }, querySelector(selector) {
+    return this.children.find(node => selector === `style[data-theme-scope="${node.dataset.themeScope}"]`) || null;
+  } };
+  const documentElement = element();
+  globalThis.document = { head, documentElement, createElement: () => ({ dataset: {}, textContent: '' }) };
+  t.after(() => delete globalThis.document);
+
+  const { extractor, palette } = extract();
+  extractor.addPalette(palette, documentElement);
+  extractor.addPalette(palette, documentElement);
+  const hero = element();
+  extractor.addPalette(palette, hero);
+
+  assert.equal(head.children.length, 2);
+  assert.equal(head.children[0].dataset.themeScope, 'root');
+  assert.equal(head.children[0].textContent, extractor.getModeStyles(palette.modes, ':root'));
+  assert.ok(head.children[1].textContent.startsWith(`[data-theme-scope="${hero.dataset.themeScope}"] {`));
+  assert.equal(documentElement.properties.has('--theme-primary'), false);
+  assert.equal(documentElement.properties.get('--theme-standard'), palette.standard);
+});
+
+test('without a document the palette colors stay inline', () => {
+  const { extractor, palette } = extract();
+  const target = element();
+  extractor.addPalette(palette, target);
+
+  assert.equal(target.properties.get('--theme-primary'), palette.dominant);
+  assert.equal(target.properties.get('--theme-accent-1'), palette.accent1);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+
+// Four well separated colors of equal weight (median cut splits boxes at the median
+// population), with a little noise around each
+const COLORS = [[230, 40, 40, 2], [40, 200, 80, 2], [30, 60, 220, 2], [240, 220, 60, 2]];
+const samples = COLORS.flatMap(([r, g, b, weight]) =>
+  [-4, 0, 4].map(offset => [r + offset, g - offset, b, weight]));
+
+const quantize = (quantizer, clusterCount) =>
+  new ColorTheoryExtractor(null, { quantizer, clusterCount }).quantizePixels(samples);
+
+for (const quantizer of ['MEDIAN_CUT', 'KMEANS', 'OCTREE']) {
+  test(`${quantizer} finds one cluster per color`, () => {
+    const clusters = quantize(quantizer, 4);
+
+    assert.equal(clusters.length, 4);
+    for (const color of COLORS) {
+      const cluster = clusters.find(({ rgb }) => rgb.every((value, channel) => Math.abs(value - color[channel]) < 1));
+      assert.ok(cluster, `${quantizer} missed ${color}`);
+      assert.equal(cluster.population, color[3] * 3);
+    }
+  });
+
+  test(`${quantizer} merges everything into a single cluster`, () => {
+    const [cluster, ...rest] = quantize(quantizer, 1);
+
+    assert.equal(rest.length, 0);
+    assert.equal(cluster.population, 24);
+    assert.ok(Math.abs(cluster.rgb[0] - (230 + 40 + 30 + 240) / 4) < 1);
+  });
+}
+
+test('KMEANS results depend only on the seed', () => {
+  const run = seed => new ColorTheoryExtractor(null, { quantizer: 'KMEANS', clusterCount: 2, quantizerSeed: seed })
+    .quantizePixels(samples);
+
+  assert.deepEqual(run(7), run(7));
+});
+
+test('a quantizer function receives the samples and options', () => {
+  const quantizer = (input, options) => [{ rgb: input[0].slice(0, 3), population: options.clusterCount }];
+  const [cluster] = quantize(quantizer, 5);
+
+  assert.deepEqual(cluster, { rgb: samples[0].slice(0, 3), population: 5 });
+});
+
+test('unknown quantizers throw', () => {
+  assert.throws(() => quantize('NOPE', 3), /Unknown quantizer: NOPE/);
+  assert.deepEqual(new ColorTheoryExtractor(null, { quantizer: 'NOPE' }).quantizePixels([]), []);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+const BLUE = stripes([['#2563EB', 1]]);
+
+// Minimal stand-ins for the DOM classes extractPalette checks sources against
+const stubGlobals = (t, globals) => {
+  Object.assign(globalThis, globals);
+  t.after(() => Object.keys(globals).forEach(name => delete globalThis[name]));
+};
+
+const extractorReading = (t, pixels = BLUE) => {
+  const extractor = new ColorTheoryExtractor(null);
+  t.mock.method(extractor, 'getImagePixels', () => pixels);
+  return extractor;
+};
+
+test('pixel data is read without loading anything', async (t) => {
+  const extractor = extractorReading(t);
+  t.mock.method(extractor, 'loadImage', () => assert.fail('loaded an image'));
+  const palette = await extractor.extractPalette(stripes([['#DC2626', 1]]));
+
+  assert.equal(palette.dominant, '#dd2222');
+  assert.equal(extractor.getImagePixels.mock.callCount(), 0);
+});
+
+test('URLs, canvases and ready videos are drawn directly', async (t) => {
+  class Canvas {}
+  class Video extends EventTarget { readyState = 4; }
+  stubGlobals(t, { HTMLCanvasElement: Canvas, HTMLVideoElement: Video });
+  const extractor = extractorReading(t);
+  const img = {};
+  t.mock.method(extractor, 'loadImage', () => Promise.resolve(img));
+
+  const canvas = new Canvas();
+  const video = new Video();
+  for (const source of ['hero.jpg', canvas, video]) {
+    assert.equal((await extractor.extractPalette(source)).dominant, '#2266ee');
+  }
+
+  assert.deepEqual(extractor.loadImage.mock.calls.map(call => call.arguments[0]), ['hero.jpg']);
+  assert.deepEqual(extractor.getImagePixels.mock.calls.map(call => call.arguments[0]), [img, canvas, video]);
+});
+
+test('a video without a frame yet waits for loadeddata', async (t) => {
+  class Video extends EventTarget { readyState = 0; }
+  stubGlobals(t, { HTMLVideoElement: Video });
+  const extractor = extractorReading(t);
+  const video = new Video();
+
+  const pending = extractor.extractPalette(video);
+  assert.equal(extractor.getImagePixels.mock.callCount(), 0);
+  video.readyState = 2;
+  video.dispatchEvent(new Event('loadeddata'));
+
+  assert.equal((await pending).dominant, '#2266ee');
+});
+
+test('blobs decode with createImageBitmap, SVG blobs through an object URL', async (t) => {
+  const bitmap = {};
+  stubGlobals(t, { createImageBitmap: async () => bitmap });
+  const extractor = extractorReading(t);
+  const img = {};
+  t.mock.method(extractor, 'loadImage', () => Promise.resolve(img));
+
+  await extractor.extractPalette(new Blob(['png'], { type: 'image/png' }));
+  await extractor.extractPalette(new Blob(['<svg/>'], { type: 'image/svg+xml' }));
+
+  assert.deepEqual(extractor.getImagePixels.mock.calls.map(call => call.arguments[0]), [bitmap, img]);
+  assert.match(extractor.loadImage.mock.calls[0].arguments[0], /^blob:/);
+});
+
+test('other elements are read through their background image', async (t) => {
+  class Element {}
+  stubGlobals(t, { Element });
+  const extractor = new ColorTheoryExtractor(null);
+  const palette = extractor.generatePalette('#2563EB');
+  t.mock.method(extractor, 'extractPaletteFromBackgroundImage', () => Promise.resolve(palette));
+  const div = new Element();
+
+  assert.equal(await extractor.extractPalette(div), palette);
+  assert.equal(extractor.extractPaletteFromBackgroundImage.mock.calls[0].arguments[0], div);
+  await assert.rejects(extractor.extractPalette(42), /Unsupported image source/);
+  await assert.rejects(extractor.extractPalette(null), /No image source/);
+});
+
+test('sources are sized by their intrinsic dimensions', () => {
+  const extractor = new ColorTheoryExtractor(null);
+
+  assert.deepEqual(extractor.getSourceSize({ naturalWidth: 800, naturalHeight: 600, width: 80, height: 60 }), [800, 600]);
+  assert.deepEqual(extractor.getSourceSize({ videoWidth: 1280, videoHeight: 720, width: 320, height: 180 }), [1280, 720]);
+  assert.deepEqual(extractor.getSourceSize({ width: 64, height: 32 }), [64, 32]);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { hexToRgba } = require('./helpers');
+
+// A size × size image of one color with a border of another, border pixels wide
+const framed = (inner, outer, border, size = 20) => {
+  const data = new Uint8ClampedArray(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const edge = Math.min(x, y, size - 1 - x, size - 1 - y) < border;
+      data.set(hexToRgba(edge ? outer : inner), (y * size + x) * 4);
+    }
+  }
+  return { data, width: size, height: size };
+};
+
+const frequencyOf = (palette, color) =>
+  palette.debugScores.find(score => score.color === color)?.frequencyScore ?? 0;
+
+test('spatial weights by mode', () => {
+  const weight = (spatialWeighting, x, y) =>
+    new ColorTheoryExtractor(null, { spatialWeighting }).getSpatialWeight(x, y, 100, 100);
+
+  assert.equal(weight({ mode: 'NONE' }, 0, 0), 1);
+  assert.ok(weight({ mode: 'CENTER' }, 50, 50) > 0.99);
+  assert.ok(weight({ mode: 'CENTER' }, 0, 0) < weight({ mode: 'CENTER' }, 25, 25));
+  assert.equal(weight({ mode: 'EDGE' }, 0, 50), 0);
+  assert.equal(weight({ mode: 'EDGE' }, 50, 50), 1);
+  assert.equal(weight({ mode: 'FOCAL', focalPoint: { x: 20, y: 20, radius: 10 } }, 25, 25), 1);
+  assert.ok(weight({ mode: 'FOCAL', focalPoint: { x: 20, y: 20, radius: 10 } }, 90, 90) < 0.01);
+});
+
+test('CENTER lets the subject outweigh a larger background', () => {
+  const pixels = framed('#DC2626', '#2563EB', 6);
+  const flat = new ColorTheoryExtractor(null).extractPaletteFromPixels(pixels);
+  const centered = new ColorTheoryExtractor(null, {
+    spatialWeighting: { mode: 'CENTER', falloff: 0.25 }
+  }).extractPaletteFromPixels(pixels);
+
+  assert.ok(frequencyOf(flat, '#2266ee') > frequencyOf(flat, '#dd2222'));
+  assert.ok(frequencyOf(centered, '#dd2222') > frequencyOf(centered, '#2266ee'));
+});
+
+test('EDGE ignores a thin frame around the image', () => {
+  const pixels = framed('#16A34A', '#DC2626', 1);
+  const flat = new ColorTheoryExtractor(null).extractPaletteFromPixels(pixels);
+  const edged = new ColorTheoryExtractor(null, { spatialWeighting: { mode: 'EDGE' } }).extractPaletteFromPixels(pixels);
+
+  assert.ok(frequencyOf(flat, '#dd2222') > 0);
+  assert.equal(frequencyOf(edged, '#dd2222'), 0);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+// #3370F0 is a near duplicate of #2563EB that quantizes to its own histogram color
+const pixels = stripes([['#2563EB', 0.4], ['#3370F0', 0.2], ['#DC2626', 0.25], ['#16A34A', 0.15]]);
+const summary = swatches => swatches.map(({ color, coverage }) => [color, Math.round(coverage)]);
+
+// Swatches for an image made of `pixels`
+const extractSwatches = (t, options) => {
+  const extractor = new ColorTheoryExtractor(null);
+  t.mock.method(extractor, 'loadImage', () => Promise.resolve({}));
+  t.mock.method(extractor, 'getImagePixels', () => pixels);
+  return extractor.extractSwatches('image.png', options);
+};
+
+test('extractSwatches merges near duplicates into the stronger swatch', async (t) => {
+  const swatches = await extractSwatches(t);
+
+  assert.deepEqual(summary(swatches), [['#2266ee', 60], ['#dd2222', 25], ['#11aa44', 15]]);
+  assert.deepEqual(swatches[0].rgb, [34, 102, 238]);
+  assert.equal(typeof swatches[0].family, 'string');
+});
+
+test('extractSwatches keeps every color with minDistance 0', async (t) => {
+  const swatches = await extractSwatches(t, { minDistance: 0 });
+
+  assert.deepEqual(summary(swatches), [['#2266ee', 40], ['#dd2222', 25], ['#3377ee', 20], ['#11aa44', 15]]);
+});
+
+test('extractSwatches returns at most count swatches', async (t) => {
+  const swatches = await extractSwatches(t, { count: 1 });
+
+  assert.deepEqual(summary(swatches), [['#2266ee', 60]]);
+});
+
+test('extractSwatches rejects a missing source', async () => {
+  await assert.rejects(new ColorTheoryExtractor(null).extractSwatches(null), /Invalid image source/);
+});
+
+test('each role takes the closest histogram color', () => {
+  const roles = new ColorTheoryExtractor(null).generateSwatchRoles(new Map([
+    ['#2266ee', 30], ['#99ccff', 20], ['#223388', 20], ['#99aaaa', 10], ['#ccdddd', 10], ['#334455', 10]
+  ]));
+
+  assert.deepEqual(Object.fromEntries(Object.entries(roles).map(([role, swatch]) => [role, swatch.color])), {
+    lightVibrant: '#99ccff',
+    vibrant: '#2266ee',
+    darkVibrant: '#223388',
+    lightMuted: '#ccdddd',
+    muted: '#99aaaa',
+    darkMuted: '#334455'
+  });
+  assert.equal(roles.vibrant.population, 0.3);
+});
+
+test('roles without a matching color are null and a color fills one role at most', () => {
+  const roles = new ColorTheoryExtractor(null).generateSwatchRoles(new Map([['#ff0000', 3], ['#808080', 1]]));
+
+  assert.equal(roles.vibrant.color, '#ff0000');
+  assert.equal(roles.vibrant.population, 0.75);
+  assert.equal(roles.muted.color, '#808080');
+  assert.equal(roles.lightVibrant, null);
+  assert.equal(roles.darkMuted, null);
+});
+
+test('role text colors meet their contrast ratios', () => {
+  const extractor = new ColorTheoryExtractor(null);
+  const { vibrant, lightMuted } = extractor.generateSwatchRoles(new Map([['#2266ee', 1], ['#99aaaa', 1]]));
+  const contrast = (background, text) => {
+    const [r, g, b, alpha] = text.match(/[\d.]+/g).map(Number);
+    const rgb = extractor.hexToRgb(background);
+    const blended = rgb.map((value, i) => value + ([r, g, b][i] - value) * alpha);
+    const [l1, l2] = [blended, rgb].map(color => extractor.calculateRelativeLuminance(color));
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  };
+
+  for (const role of [vibrant, lightMuted]) {
+    assert.ok(contrast(role.color, role.titleTextColor) >= 3, role.titleTextColor);
+    assert.ok(contrast(role.color, role.bodyTextColor) >= 4.5, role.bodyTextColor);
+  }
+});
+
+test('swatchTargets move a role window', () => {
+  const extractor = new ColorTheoryExtractor(null, { swatchTargets: { vibrant: { lightness: { min: 0.6 } } } });
+  const roles = extractor.generateSwatchRoles(new Map([['#2266ee', 1]]));
+
+  assert.equal(roles.vibrant, null);
+  assert.equal(extractor.getSwatchTargets().vibrant.lightness.max, 0.7);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, TONAL_STEPS } = require('../color-theory.js');
+
+const extractor = new ColorTheoryExtractor(null);
+const oklch = hex => extractor.rgbToOklch(...extractor.hexToRgb(hex));
+
+test('tonal scale steps hit their OKLCH lightness and keep the hue', () => {
+  const scale = extractor.generateTonalScale(extractor.hexToRgb('#2563EB'));
+  const [, , hue] = oklch('#2563EB');
+
+  assert.deepEqual(Object.keys(scale), Object.keys(TONAL_STEPS));
+  for (const [step, target] of Object.entries(TONAL_STEPS)) {
+    const [L, , h] = oklch(scale[step]);
+    assert.ok(Math.abs(L - target.lightness) < 0.005, `${step}: L ${L}`);
+    assert.ok(Math.abs(h - hue) < 2, `${step}: hue ${h}`);
+  }
+});
+
+test('tonal scale chroma tapers toward both ends', () => {
+  const scale = extractor.generateTonalScale(extractor.hexToRgb('#2563EB'));
+  const chroma = step => oklch(scale[step])[1];
+
+  assert.ok(chroma(50) < chroma(300) && chroma(300) < chroma(600));
+  assert.ok(chroma(950) < chroma(600));
+});
+
+test('out-of-gamut steps lose chroma, not lightness', () => {
+  const scale = extractor.generateTonalScale(extractor.hexToRgb('#FFFF00'));
+  const [L] = oklch(scale[950]);
+
+  assert.ok(Math.abs(L - TONAL_STEPS[950].lightness) < 0.005);
+  assert.equal(extractor.generatePalette('#FFFF00').tonalScale[500], scale[500]);
+});
+
+test('grays give a neutral scale', () => {
+  const scale = extractor.generateTonalScale([128, 128, 128]);
+
+  for (const hex of Object.values(scale)) {
+    const [r, g, b] = extractor.hexToRgb(hex);
+    assert.ok(r === g && g === b, hex);
+  }
+});
+
+test('gamutMapOklch lowers chroma only as far as sRGB needs', () => {
+  const inside = extractor.gamutMapOklch(0.6, 0.05, 150);
+  const [L, C, h] = extractor.gamutMapOklch(0.5, 0.4, 150);
+  const linear = extractor.oklabToLinearRgb(...extractor.oklchToOklab(L, C, h));
+
+  assert.deepEqual(inside, [0.6, 0.05, 150]);
+  assert.equal(L, 0.5);
+  assert.equal(h, 150);
+  assert.ok(C < 0.4 && C > 0.1);
+  assert.ok(linear.every(value => value >= -1e-4 && value <= 1 + 1e-4));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+class Video extends EventTarget {
+  paused = false;
+  ended = false;
+  readyState = 4;
+}
+
+// A playing video whose frames are read from `frames`, one per sample (the last repeats)
+const watch = (t, frames, options = {}) => {
+  const document = Object.assign(new EventTarget(), { hidden: false, documentElement: {} });
+  globalThis.document = document;
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const extractor = new ColorTheoryExtractor(null);
+  let frame = 0;
+  t.mock.method(extractor, 'getImagePixels', () => stripes([[frames[Math.min(frame++, frames.length - 1)], 1]]));
+  t.mock.method(extractor, 'addPalette', () => {});
+
+  const video = new Video();
+  const changes = [];
+  const handle = extractor.watchVideo(video, { element: {}, onChange: palette => changes.push(palette.dominant), ...options });
+  t.after(() => {
+    handle.stop();
+    delete globalThis.document;
+  });
+  return { extractor, video, document, handle, changes, samples: () => extractor.getImagePixels.mock.callCount() };
+};
+
+test('frames are sampled at most fps times a second, only while playing', (t) => {
+  const { video, document, handle, samples } = watch(t, ['#2563EB'], { fps: 2 });
+  assert.equal(samples(), 1);
+
+  t.mock.timers.tick(499);
+  assert.equal(samples(), 1);
+  t.mock.timers.tick(1);
+  assert.equal(samples(), 2);
+
+  video.paused = true;
+  video.dispatchEvent(new Event('pause'));
+  t.mock.timers.tick(2000);
+  assert.equal(samples(), 2);
+
+  video.paused = false;
+  video.dispatchEvent(new Event('play'));
+  t.mock.timers.tick(500);
+  assert.equal(samples(), 3);
+
+  document.hidden = true;
+  document.dispatchEvent(new Event('visibilitychange'));
+  t.mock.timers.tick(2000);
+  assert.equal(samples(), 3);
+
+  document.hidden = false;
+  document.dispatchEvent(new Event('visibilitychange'));
+  handle.stop();
+  t.mock.timers.tick(2000);
+  assert.equal(samples(), 3);
+});
+
+test('the dominant color is smoothed and only re-applied past the threshold', (t) => {
+  const { changes } = watch(t, ['#2563EB', '#2563EB', '#DC2626'], { fps: 1, smoothing: 0.3 });
+
+  t.mock.timers.tick(1000);
+  assert.equal(changes.length, 1, 'an unchanged frame is not re-applied');
+
+  t.mock.timers.tick(1000);
+  assert.equal(changes.length, 2);
+  assert.notEqual(changes[1], changes[0]);
+  assert.notEqual(changes[1].toLowerCase(), '#dd2222', 'a single red frame only moves part of the way');
+});
+
+test('a high threshold keeps the applied palette', (t) => {
+  const { changes, handle } = watch(t, ['#2563EB', '#DC2626'], { fps: 1, threshold: 1 });
+  t.mock.timers.tick(3000);
+
+  assert.equal(changes.length, 1);
+  assert.equal(handle.palette.dominant, changes[0]);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorTheoryExtractor, ColorTheoryWorkerPool } = require('../color-theory.js');
+const { stripes } = require('./helpers');
+
+test('a worker that cannot be created falls back to the main thread', async (t) => {
+  Object.assign(globalThis, {
+    Worker: class { constructor() { throw new Error('SecurityError'); } },
+    OffscreenCanvas: class {},
+    createImageBitmap: async () => ({})
+  });
+  t.after(() => ['Worker', 'OffscreenCanvas', 'createImageBitmap'].forEach(name => delete globalThis[name]));
+  t.mock.method(console, 'warn', () => {});
+
+  const extractor = new ColorTheoryExtractor(null, { useWorker: true, workerUrl: 'blocked-worker.js' });
+  t.mock.method(extractor, 'getImagePixels', () => stripes([['#2563EB', 1]]));
+  const palette = await extractor.extractPaletteFromLoadedImage({});
+
+  assert.equal(palette.dominant, '#2266ee');
+  assert.equal(ColorTheoryWorkerPool.get('blocked-worker.js').disabled, true);
+  assert.equal(extractor.canUseWorker(), false);
+});